@@ -0,0 +1,396 @@
+#!/usr/bin/env node
+
+/**
+ * a11y-check.mjs
+ * Static accessibility audit, offline. For every page (default: all .html files under src/):
+ * 1) img-alt       images without an alt attribute (alt="" marks decorative images and is fine)
+ * 2) link-name     links without an accessible name (glyph-only text such as "☰" or "✕" does not count)
+ * 3) button-name   buttons without an accessible name (same rule)
+ * 4) heading-order heading levels that skip (h2 -> h4), including a first heading other than h1
+ * 5) duplicate-id  ids used more than once
+ * 6) label         form fields without a label, aria-label, aria-labelledby or title
+ * 7) aria-ref      aria-* IDREFs and label[for] pointing at missing ids
+ * Plus, once per run:
+ * 8) contrast      token pairs from variables.css below WCAG AA (4.5:1 text, 3:1 non-text) in each theme
+ *
+ * Known issues go in a11y-allowlist.json: [{ "rule", "target", "page"?, "reason" }]; entries that no
+ * longer match anything are reported so the list does not go stale.
+ *
+ * Usage: node ./scripts/a11y-check.mjs [--json] [--allowlist a11y-allowlist.json] [page.html ...]
+ *
+ * Exit codes:
+ * 0 = OK (allowlisted issues only)
+ * 1 = Issues found
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import url from 'node:url';
+import { parseArgs } from 'node:util';
+import { JSDOM } from 'jsdom';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+const repoRoot = path.resolve(__dirname, '..');
+
+export const A11Y = {
+  pages: path.join(repoRoot, 'src'),
+  variables: path.join(repoRoot, 'src', 'assets', 'styles', 'variables.css'),
+  allowlist: path.join(repoRoot, 'a11y-allowlist.json'),
+  // Each theme layers these rule selectors (outside any @media) in order
+  themes: {
+    light: [':root'],
+    dark: [':root', ':root[data-theme="dark"]'],
+    'high-contrast': [':root', ':root[data-theme="high-contrast"]']
+  },
+  // [foreground, background, minimum ratio, where the pair is used]
+  pairs: [
+    ['--color-fg', '--color-bg', 4.5, 'body text'],
+    ['--color-fg', '--surface-2', 4.5, 'text on raised surfaces'],
+    ['--color-fg', '--surface-3', 4.5, 'text on cards/stripes'],
+    ['--color-muted', '--color-bg', 4.5, 'secondary text'],
+    ['--color-muted', '--surface-1', 4.5, 'card meta'],
+    ['--color-muted', '--surface-2', 4.5, 'lightbox info meta'],
+    ['--color-accent', '--color-bg', 4.5, 'links'],
+    ['--color-accent', '--surface-1', 4.5, 'ghost buttons'],
+    ['--color-accent-700', '--color-bg', 4.5, 'link hover, current nav link'],
+    ['--color-accent-700', '--surface-1', 4.5, 'active chips'],
+    ['--color-accent-ink', '--color-accent', 4.5, 'primary buttons'],
+    ['--color-accent-ink', '--color-accent-700', 4.5, 'primary button hover'],
+    ['--danger', '--surface-1', 4.5, 'field errors'],
+    ['--color-accent', '--color-bg', 3, 'focus ring'],
+    ['--border', '--surface-1', 3, 'form field borders']
+  ],
+  idrefs: ['aria-activedescendant', 'aria-controls', 'aria-describedby', 'aria-details', 'aria-errormessage', 'aria-flowto', 'aria-labelledby', 'aria-owns']
+};
+
+const readText = (p) => fs.readFileSync(p, 'utf8');
+const rel = (p) => path.relative(repoRoot, p);
+
+/**
+ * listPages - every .html file under dir, recursively
+ */
+function listPages(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const p = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listPages(p);
+    return entry.name.endsWith('.html') ? [p] : [];
+  }).sort();
+}
+
+/* ---------- Page rules ---------- */
+
+// Name text must contain a letter or digit; "☰", "✕" or "→" alone announce as nothing useful
+const isMeaningful = (text) => /[\p{L}\p{N}]/u.test(text || '');
+
+const isExposed = (el) => !el.closest('[aria-hidden="true"]');
+
+/**
+ * describeTarget - stable label for an element, used in reports and allowlist matching
+ * e.g. button#nav-toggle, a[data-js="logo"], img.card__thumb
+ */
+function describeTarget(el) {
+  const tag = el.localName;
+  if (el.id) return `${tag}#${el.id}`;
+  if (el.hasAttribute('data-js')) return `${tag}[data-js="${el.getAttribute('data-js')}"]`;
+  if (el.classList.length) return `${tag}.${el.classList[0]}`;
+  const parent = el.parentElement;
+  return parent ? `${describeTarget(parent)} > ${tag}` : tag;
+}
+
+/**
+ * textAlternative - rendered text of a subtree for naming: skips aria-hidden parts, uses img alt
+ */
+function textAlternative(node) {
+  if (node.nodeType === 3) return node.textContent;
+  if (node.nodeType !== 1 || node.getAttribute('aria-hidden') === 'true') return '';
+  if (node.hasAttribute('aria-label')) return node.getAttribute('aria-label');
+  if (node.localName === 'img') return node.getAttribute('alt') || '';
+  return [...node.childNodes].map(textAlternative).join(' ');
+}
+
+/**
+ * accessibleName - simplified accname: aria-labelledby, aria-label, labels/value, content, title
+ */
+export function accessibleName(el) {
+  const doc = el.ownerDocument;
+  const labelledby = (el.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean);
+  const byRef = labelledby.map(id => doc.getElementById(id)).filter(Boolean).map(textAlternative).join(' ').trim();
+  if (byRef) return byRef;
+  const label = (el.getAttribute('aria-label') || '').trim();
+  if (label) return label;
+  if (el.labels?.length) {
+    const text = [...el.labels].map(textAlternative).join(' ').trim();
+    if (text) return text;
+  }
+  if (el.localName === 'input') {
+    const type = (el.getAttribute('type') || 'text').toLowerCase();
+    if (type === 'image') return el.getAttribute('alt') || '';
+    if (['button', 'submit', 'reset'].includes(type)) {
+      return el.getAttribute('value') || (type === 'button' ? '' : type === 'submit' ? 'Submit' : 'Reset');
+    }
+  }
+  if (['a', 'button', 'summary'].includes(el.localName) || el.getAttribute('role') === 'button') {
+    const text = textAlternative(el).replace(/\s+/g, ' ').trim();
+    if (text) return text;
+  }
+  return (el.getAttribute('title') || '').trim();
+}
+
+/**
+ * auditPage - run the page rules against one HTML document
+ * @param {string} html
+ * @param {string} page label used in issues
+ * @returns {{ rule: string, page: string, target: string, line: number|null, message: string }[]}
+ */
+export function auditPage(html, page) {
+  const dom = new JSDOM(html, { includeNodeLocations: true });
+  const { document } = dom.window;
+  const issues = [];
+  const report = (rule, el, message) => {
+    const loc = el.ownerDocument === document ? dom.nodeLocation(el) : null;
+    issues.push({ rule, page, target: describeTarget(el), line: loc ? loc.startLine : null, message });
+  };
+  // Template contents become page content once cloned, so their elements are audited too
+  const roots = [document, ...[...document.querySelectorAll('template')].map(t => t.content)];
+  const all = (selector) => roots.flatMap(root => [...root.querySelectorAll(selector)]);
+
+  all('img:not([alt]), area[href]:not([alt]), input[type="image" i]:not([alt])').filter(isExposed).forEach((el) => {
+    report('img-alt', el, `<${el.localName}> has no alt attribute (use alt="" for decorative images)`);
+  });
+  all('[role="img"]').filter(isExposed).forEach((el) => {
+    if (!isMeaningful(accessibleName(el))) report('img-alt', el, 'role="img" element has no accessible name');
+  });
+
+  all('a[href]').filter(isExposed).forEach((el) => {
+    const name = accessibleName(el);
+    if (!isMeaningful(name)) report('link-name', el, name ? `link is named only by "${name}"` : 'link has no accessible name');
+  });
+  all('button, input[type="button" i], input[type="submit" i], input[type="reset" i], [role="button"]').filter(isExposed).forEach((el) => {
+    const name = accessibleName(el);
+    if (!isMeaningful(name)) report('button-name', el, name ? `button is named only by "${name}"` : 'button has no accessible name');
+  });
+
+  // Document outline only: template headings are placed by their cards
+  let previous = 0;
+  document.querySelectorAll('h1, h2, h3, h4, h5, h6, [role="heading"]').forEach((el) => {
+    if (!isExposed(el)) return;
+    const level = el.getAttribute('role') === 'heading'
+      ? parseInt(el.getAttribute('aria-level') || '2', 10)
+      : parseInt(el.localName.slice(1), 10);
+    if (level > previous + 1) {
+      report('heading-order', el, previous ? `h${level} follows h${previous}` : `first heading is h${level}, expected h1`);
+    }
+    previous = level;
+  });
+
+  const seen = new Map();
+  document.querySelectorAll('[id]').forEach((el) => {
+    if (seen.has(el.id)) report('duplicate-id', el, `id="${el.id}" is also used by ${describeTarget(seen.get(el.id))}`);
+    else seen.set(el.id, el);
+  });
+
+  all('input, select, textarea').filter(isExposed).forEach((el) => {
+    const type = (el.getAttribute('type') || '').toLowerCase();
+    if (['hidden', 'button', 'submit', 'reset', 'image'].includes(type)) return;
+    if (!isMeaningful(accessibleName(el))) report('label', el, `<${el.localName}${type ? ` type="${type}"` : ''}> has no label`);
+  });
+
+  roots.forEach((root) => {
+    const resolves = (id) => document.getElementById(id) || (root !== document && root.getElementById(id));
+    root.querySelectorAll(A11Y.idrefs.map(a => `[${a}]`).join(', ')).forEach((el) => {
+      A11Y.idrefs.forEach((attr) => {
+        (el.getAttribute(attr) || '').split(/\s+/).filter(Boolean).forEach((id) => {
+          if (!resolves(id)) report('aria-ref', el, `${attr}="${id}" points at a missing id`);
+        });
+      });
+    });
+    root.querySelectorAll('label[for]').forEach((el) => {
+      const id = el.getAttribute('for');
+      if (id && !resolves(id)) report('aria-ref', el, `for="${id}" points at a missing id`);
+    });
+  });
+
+  return issues;
+}
+
+/* ---------- Token contrast ---------- */
+
+/**
+ * parseBlocks - custom-property declarations per rule, with the enclosing @media (if any)
+ * @returns {{ selectors: string[], media: string, props: Record<string, string> }[]}
+ */
+export function parseBlocks(css) {
+  const source = css.replace(/\/\*[\s\S]*?\*\//g, '');
+  const blocks = [];
+  const stack = [];
+  let start = 0;
+  for (let i = 0; i < source.length; i += 1) {
+    const ch = source[i];
+    if (ch === '{') {
+      stack.push(source.slice(start, i).trim());
+      start = i + 1;
+    } else if (ch === '}') {
+      const prelude = stack.pop();
+      const body = source.slice(start, i);
+      start = i + 1;
+      if (prelude === undefined || prelude.startsWith('@')) continue;
+      const props = {};
+      for (const m of body.matchAll(/(--[\w-]+)\s*:\s*([^;]+)/g)) props[m[1]] = m[2].trim();
+      const media = stack.filter(p => p.startsWith('@')).join(' ');
+      blocks.push({ selectors: prelude.split(',').map(s => s.trim()), media, props });
+    }
+  }
+  return blocks;
+}
+
+/**
+ * resolveTokens - custom properties in effect for a theme, var() references resolved
+ */
+export function resolveTokens(blocks, selectors) {
+  const raw = {};
+  selectors.forEach((selector) => {
+    blocks.filter(b => !b.media && b.selectors.includes(selector)).forEach(b => Object.assign(raw, b.props));
+  });
+  const resolve = (value, depth = 0) => (depth > 10 ? value : value.replace(/var\(\s*(--[\w-]+)\s*(?:,\s*([^)]*))?\)/g, (_, name, fallback) => (
+    raw[name] !== undefined ? resolve(raw[name], depth + 1) : (fallback || '')
+  )));
+  return Object.fromEntries(Object.entries(raw).map(([k, v]) => [k, resolve(v)]));
+}
+
+/**
+ * parseColor - #rgb, #rrggbb(aa), rgb()/rgba() in either syntax, white/black; null otherwise
+ * @returns {[number, number, number, number]|null} r, g, b (0-255), alpha (0-1)
+ */
+export function parseColor(value) {
+  const v = (value || '').trim().toLowerCase();
+  if (v === 'white') return [255, 255, 255, 1];
+  if (v === 'black') return [0, 0, 0, 1];
+  let m = v.match(/^#([0-9a-f]{3,8})$/);
+  if (m) {
+    let hex = m[1];
+    if (hex.length === 3 || hex.length === 4) hex = [...hex].map(c => c + c).join('');
+    if (hex.length !== 6 && hex.length !== 8) return null;
+    const n = [0, 2, 4, 6].map(i => parseInt(hex.slice(i, i + 2) || 'ff', 16));
+    return [n[0], n[1], n[2], n[3] / 255];
+  }
+  m = v.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/);
+  if (m) {
+    const a = m[4] === undefined ? 1 : m[4].endsWith('%') ? parseFloat(m[4]) / 100 : parseFloat(m[4]);
+    return [+m[1], +m[2], +m[3], a];
+  }
+  return null;
+}
+
+const luminance = ([r, g, b]) => {
+  const [R, G, B] = [r, g, b].map((c) => {
+    const s = c / 255;
+    return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+};
+
+/**
+ * contrastRatio - WCAG ratio; a translucent foreground is composited over the background first
+ */
+export function contrastRatio(fg, bg) {
+  const a = fg[3];
+  const over = [0, 1, 2].map(i => fg[i] * a + bg[i] * (1 - a));
+  const [hi, lo] = [luminance(over), luminance(bg)].sort((x, y) => y - x);
+  return (hi + 0.05) / (lo + 0.05);
+}
+
+/**
+ * auditContrast - check A11Y.pairs in every theme
+ */
+export function auditContrast(css, file) {
+  const blocks = parseBlocks(css);
+  const issues = [];
+  Object.entries(A11Y.themes).forEach(([theme, selectors]) => {
+    const tokens = resolveTokens(blocks, selectors);
+    A11Y.pairs.forEach(([fgName, bgName, min, usage]) => {
+      const fg = parseColor(tokens[fgName]);
+      const bg = parseColor(tokens[bgName]);
+      const target = `${theme}: ${fgName} on ${bgName}`;
+      if (!fg || !bg) {
+        issues.push({ rule: 'contrast', page: file, target, line: null, message: `cannot resolve ${!fg ? fgName : bgName} (${usage})` });
+        return;
+      }
+      const ratio = contrastRatio(fg, bg);
+      if (ratio + 1e-9 < min) {
+        issues.push({ rule: 'contrast', page: file, target, line: null, message: `${ratio.toFixed(2)}:1 is below ${min}:1 (${usage})` });
+      }
+    });
+  });
+  return issues;
+}
+
+/* ---------- Allowlist and report ---------- */
+
+/**
+ * loadAllowlist - [] when the file does not exist
+ */
+export function loadAllowlist(file) {
+  if (!file || !fs.existsSync(file)) return [];
+  const entries = JSON.parse(readText(file));
+  if (!Array.isArray(entries)) throw new Error(`${rel(file)} must contain a JSON array`);
+  return entries;
+}
+
+const allows = (entry, issue) => entry.rule === issue.rule && entry.target === issue.target && (!entry.page || entry.page === issue.page);
+
+/**
+ * runAudit - audit pages and tokens, then split issues by the allowlist
+ * @param {{ pages?: string[], variables?: string, allowlist?: string }} [options] file paths
+ */
+export function runAudit(options = {}) {
+  const pages = options.pages?.length ? options.pages : listPages(A11Y.pages);
+  const variables = options.variables || A11Y.variables;
+  const allowlist = loadAllowlist(options.allowlist === undefined ? A11Y.allowlist : options.allowlist);
+
+  const found = [
+    ...pages.flatMap(p => auditPage(readText(p), rel(p))),
+    ...(fs.existsSync(variables) ? auditContrast(readText(variables), rel(variables)) : [])
+  ];
+  const issues = found.filter(issue => !allowlist.some(entry => allows(entry, issue)));
+  const allowed = found.filter(issue => !issues.includes(issue));
+  const stale = allowlist.filter(entry => !found.some(issue => allows(entry, issue)));
+  return { ok: issues.length === 0, pages: pages.map(rel), issues, allowed, stale };
+}
+
+/**
+ * formatReport - human-readable report grouped by rule
+ */
+export function formatReport(report) {
+  const lines = [];
+  const rules = [...new Set(report.issues.map(i => i.rule))];
+  rules.forEach((rule) => {
+    lines.push(`- ${rule}:`);
+    report.issues.filter(i => i.rule === rule).forEach((i) => {
+      lines.push(`   - ${i.page}${i.line ? `:${i.line}` : ''} ${i.target} — ${i.message}`);
+    });
+    lines.push('');
+  });
+  const summary = `${report.pages.length} page(s) audited; ${report.issues.length} issue(s), ${report.allowed.length} allowlisted.`;
+  const out = report.ok ? [`A11y check passed: ${summary}`] : ['A11y check found issues:', '', ...lines, summary];
+  if (report.stale.length) {
+    out.push('', 'Allowlist entries that no longer match anything (remove them):');
+    report.stale.forEach(e => out.push(` - ${e.rule}: ${e.target}${e.page ? ` (${e.page})` : ''}`));
+  }
+  return out.join('\n');
+}
+
+// Allow running via `node ./scripts/a11y-check.mjs`
+if (import.meta.url === url.pathToFileURL(process.argv[1]).href) {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      json: { type: 'boolean', default: false },
+      allowlist: { type: 'string', default: A11Y.allowlist }
+    }
+  });
+  const report = runAudit({ pages: positionals.map(p => path.resolve(p)), allowlist: path.resolve(values.allowlist) });
+  if (values.json) console.log(JSON.stringify(report, null, 2));
+  else (report.ok ? console.log : console.error)(formatReport(report));
+  process.exit(report.ok ? 0 : 1);
+}
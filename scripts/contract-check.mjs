@@ -0,0 +1,358 @@
+#!/usr/bin/env node
+
+/**
+ * contract-check.mjs
+ * Checks the contract between src/index.html and the scripts in src/assets/scripts by parsing both:
+ * 1) Every literal selector a script queries (querySelector/All, qs, qsa, delegate, closest, matches)
+ *    matches something in the page, <template> contents included. Selectors that only target
+ *    elements the scripts create themselves are listed as runtime selectors, not failures.
+ * 2) Every data-* attribute in the markup is read by a script (inline scripts included).
+ *    Attributes only the stylesheets read are listed but do not fail the check.
+ * 3) aria-controls / aria-labelledby / aria-describedby ids resolve.
+ *
+ * Known exceptions go in contract-allowlist.json: [{ "rule", "target", "reason" }] where rule is
+ * selector (target: the selector), data-attribute (the attribute name) or idref (attribute=id);
+ * entries that no longer match anything are reported so the list does not go stale.
+ *
+ * Usage: node ./scripts/contract-check.mjs [--json] [--out report.json] [--allowlist contract-allowlist.json]
+ *   --json       print the JSON report instead of the human one
+ *   --out        also write the JSON report to a file
+ *   --allowlist  reviewed exceptions (default: contract-allowlist.json)
+ *
+ * Exit codes:
+ * 0 = OK (allowlisted findings only)
+ * 1 = Issues found
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import url from 'node:url';
+import { parseArgs } from 'node:util';
+import { JSDOM } from 'jsdom';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+const repoRoot = path.resolve(__dirname, '..');
+
+export const CONTRACT = {
+  html: path.join(repoRoot, 'src', 'index.html'),
+  scripts: path.join(repoRoot, 'src', 'assets', 'scripts'),
+  styles: path.join(repoRoot, 'src', 'assets', 'styles'),
+  idrefs: ['aria-controls', 'aria-labelledby', 'aria-describedby'],
+  allowlist: path.join(repoRoot, 'contract-allowlist.json')
+};
+
+const readText = (p) => fs.readFileSync(p, 'utf8');
+const listFiles = (dir, ext) => (fs.existsSync(dir) ? fs.readdirSync(dir).filter(f => f.endsWith(ext)).sort().map(f => path.join(dir, f)) : []);
+const rel = (p) => path.relative(repoRoot, p);
+
+// Query calls and the position of their selector argument: receiver.method('sel') or helper(root, 'sel') / delegate(root, type, 'sel')
+const STRING = String.raw`(?<q>['"\`])(?<sel>(?:\\.|(?!\k<q>)[^\\])*)\k<q>`;
+const QUERY_PATTERNS = [
+  { call: 'method', regex: new RegExp(String.raw`\.(querySelector(?:All)?|closest|matches)\(\s*${STRING}`, 'g') },
+  { call: 'helper', regex: new RegExp(String.raw`\b(qsa?)\(\s*[^,()]+,\s*${STRING}`, 'g') },
+  { call: 'helper', regex: new RegExp(String.raw`\b(delegate)\(\s*[^,()]+,\s*[^,()]+,\s*${STRING}`, 'g') }
+];
+
+const lineAt = (source, index) => source.slice(0, index).split('\n').length;
+
+/**
+ * normalizeSelector - make a template-literal selector checkable
+ * Interpolated attribute values ([data-slot="${name}"]) become presence tests ([data-slot]);
+ * any other interpolation leaves the selector dynamic (null).
+ */
+function normalizeSelector(selector) {
+  const out = selector.replace(/\[\s*([\w-]+)\s*[~|^$*]?=\s*["']?[^\]]*\$\{[^}]*\}[^\]]*\]/g, '[$1]');
+  return out.includes('${') ? null : out.trim();
+}
+
+/**
+ * extractSelectors - literal selectors queried by a script
+ * @param {string} source
+ * @param {string} file label used in the report
+ * @returns {{ selectors: { selector: string, call: string, file: string, line: number }[], dynamic: { source: string, file: string, line: number }[] }}
+ */
+export function extractSelectors(source, file) {
+  const selectors = [];
+  const dynamic = [];
+  QUERY_PATTERNS.forEach(({ regex }) => {
+    for (const m of source.matchAll(regex)) {
+      const line = lineAt(source, m.index);
+      const selector = normalizeSelector(m.groups.sel.replace(/\\(['"`\\])/g, '$1'));
+      if (selector === null) dynamic.push({ source: m.groups.sel, file, line });
+      else if (selector) selectors.push({ selector, call: m[1], file, line });
+    }
+  });
+  return { selectors: selectors.sort((a, b) => a.line - b.line), dynamic };
+}
+
+/**
+ * extractWrites - tag names, attribute names and classes scripts create at runtime
+ * Used to tell selectors for generated elements apart from selectors that drifted from the markup.
+ */
+export function extractWrites(source) {
+  const tags = new Set();
+  const attributes = new Set();
+  const classes = new Set();
+  for (const m of source.matchAll(/createElement(?:NS)?\(\s*(?:[^,()]+,\s*)?['"]([\w-]+)['"]/g)) tags.add(m[1].toLowerCase());
+  for (const m of source.matchAll(/(?:setAttribute|toggleAttribute)\(\s*['"]([\w-]+)['"](?:,\s*['"]([^'"]*)['"])?/g)) {
+    attributes.add(m[1].toLowerCase());
+    if (m[2] !== undefined) attributes.add(`${m[1].toLowerCase()}=${m[2]}`);
+  }
+  for (const m of source.matchAll(/\.dataset\.(\w+)\s*=[^=]/g)) attributes.add(`data-${m[1].replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`);
+  for (const m of source.matchAll(/\.(?:role|id)\s*=[^=]/g)) attributes.add(m[0].slice(1).split(/\s|=/)[0]);
+  for (const m of source.matchAll(/\.className\s*=\s*['"`]([^'"`]*)['"`]/g)) m[1].split(/\s+/).filter(Boolean).forEach(c => classes.add(c));
+  for (const m of source.matchAll(/classList\.(?:add|toggle)\(([^)]*)\)/g)) {
+    for (const s of m[1].matchAll(/['"]([\w-]+)['"]/g)) classes.add(s[1]);
+  }
+  // Markup built from strings (innerHTML templates)
+  for (const m of source.matchAll(/<([a-z][\w-]*)[\s>/]/g)) tags.add(m[1]);
+  for (const m of source.matchAll(/\s([a-z][\w-]*)=\\?["']([^"'\\$]*)/g)) attributes.add(m[1]).add(`${m[1]}=${m[2]}`);
+  for (const m of source.matchAll(/\sclass=\\?["']([^"'\\]*)/g)) m[1].split(/\s+/).filter(Boolean).forEach(c => classes.add(c));
+  return { tags, attributes, classes };
+}
+
+/**
+ * selectorTokens - tag, class, id and attribute names per alternative of a selector list
+ * Attribute tests with an exact value are kept as name=value ([role="option"] -> role=option).
+ */
+function selectorTokens(selector) {
+  // Fold attribute tests and string contents first so they are not read as names
+  const stripped = selector
+    .replace(/\[\s*([\w-]+)\s*=\s*(["']?)([^"'\]]*)\2\s*\]/g, '[$1=$3]')
+    .replace(/\[\s*([\w-]+)\s*[~|^$*][^\]]*\]/g, '[$1]')
+    .replace(/\((['"])[^'"]*\1\)/g, '()');
+  return stripped.split(',').map((alt) => ({
+    tags: [...alt.matchAll(/(?:^|[\s>+~(])([a-z][\w-]*)/gi)].map(m => m[1].toLowerCase()).filter(t => !/^(not|is|where|has|scope|nth-child|nth-of-type|first-child|last-child|checked|disabled|focus|hover)$/.test(t)),
+    classes: [...alt.matchAll(/\.([\w-]+)/g)].map(m => m[1]),
+    attributes: [...alt.matchAll(/\[([\w-]+)(=[^\]]*)?\]/g)].map(m => `${m[1].toLowerCase()}${m[2] || ''}`),
+    ids: [...alt.matchAll(/#([\w-]+)/g)].map(m => m[1])
+  }));
+}
+
+/**
+ * pageVocabulary - every tag, class, attribute name and id present in the parsed roots
+ */
+function pageVocabulary(roots) {
+  const vocab = { tags: new Set(), classes: new Set(), attributes: new Set(), ids: new Set() };
+  roots.forEach((root) => root.querySelectorAll('*').forEach((el) => {
+    vocab.tags.add(el.localName);
+    el.classList.forEach(c => vocab.classes.add(c));
+    for (const attr of el.attributes) vocab.attributes.add(attr.name).add(`${attr.name}=${attr.value}`);
+    if (el.id) vocab.ids.add(el.id);
+  }));
+  return vocab;
+}
+
+/**
+ * isRuntimeSelector - some alternative only names things the page has or the scripts create,
+ * and at least one of them is created by a script
+ */
+function isRuntimeSelector(selector, vocab, writes) {
+  return selectorTokens(selector).some((alt) => {
+    const known = (kind, name) => vocab[kind].has(name) || writes[kind]?.has(name);
+    const created = alt.tags.some(t => writes.tags.has(t) && !vocab.tags.has(t))
+      || alt.classes.some(c => writes.classes.has(c) && !vocab.classes.has(c))
+      || alt.attributes.some(a => writes.attributes.has(a) && !vocab.attributes.has(a));
+    return created
+      && alt.tags.every(t => known('tags', t))
+      && alt.classes.every(c => known('classes', c))
+      && alt.attributes.every(a => known('attributes', a))
+      && alt.ids.every(id => vocab.ids.has(id));
+  });
+}
+
+/**
+ * readsName - whether source reads an attribute by name: 'data-foo', [data-foo], dataset.foo or dataset['foo']
+ * Only the whole name counts: comments, longer names (data-foo-bar), classes (.data-foo) and ids do not.
+ */
+function readsName(source, name) {
+  const code = source.replace(/\/\*[\s\S]*?\*\/|(^|[^:'"`\\])\/\/.*$/gm, '$1');
+  const escaped = name.replace(/[-]/g, '\\-');
+  if (new RegExp(`(?<=['"\`[\\s,(])${escaped}(?=['"\`\\]\\s=~|^$*,)>])`).test(code)) return true;
+  if (!name.startsWith('data-')) return false;
+  const camel = name.slice(5).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+  return new RegExp(`dataset(?:\\.${camel}(?!\\w)|\\[\\s*['"]${camel}['"]\\s*\\])`).test(code);
+}
+
+/**
+ * describeElement - short label for an element in the report, e.g. <button id="nav-toggle"> (src/index.html:42)
+ */
+function describeElement(dom, el, htmlLabel) {
+  const attrs = ['id', 'class', 'data-js'].filter(a => el.hasAttribute(a)).map(a => ` ${a}="${el.getAttribute(a)}"`).join('');
+  const loc = dom.nodeLocation(el);
+  return { element: `<${el.localName}${attrs}>`, line: loc ? loc.startLine : null, file: htmlLabel };
+}
+
+/**
+ * loadAllowlist - [] when the file does not exist
+ */
+export function loadAllowlist(file) {
+  if (!file || !fs.existsSync(file)) return [];
+  const entries = JSON.parse(readText(file));
+  if (!Array.isArray(entries)) throw new Error(`${rel(file)} must contain a JSON array`);
+  return entries;
+}
+
+const allows = (entry, finding) => entry.rule === finding.rule && entry.target === finding.target;
+
+/**
+ * checkContract - run every check and build the report
+ * @param {{ html?: string, scripts?: string[], styles?: string[], allowlist?: string|null }} [options] file paths; defaults from CONTRACT
+ */
+export function checkContract(options = {}) {
+  const htmlPath = options.html || CONTRACT.html;
+  const scriptPaths = options.scripts || listFiles(CONTRACT.scripts, '.js');
+  const stylePaths = options.styles || listFiles(CONTRACT.styles, '.css');
+  const allowlist = loadAllowlist(options.allowlist === undefined ? CONTRACT.allowlist : options.allowlist);
+  const htmlLabel = rel(htmlPath);
+
+  const dom = new JSDOM(readText(htmlPath), { includeNodeLocations: true });
+  const { document } = dom.window;
+  // Template contents are inert fragments; they are part of the contract all the same
+  const templates = [...document.querySelectorAll('template')].map(t => t.content);
+  const roots = [document, ...templates];
+
+  const scripts = scriptPaths.map(p => ({ file: rel(p), source: readText(p) }));
+  // Inline classic/module scripts only; JSON-LD and other data blocks are not code
+  [...document.querySelectorAll('script:not([src])')].filter(el => /^(|module|text\/javascript)$/i.test(el.type)).forEach((el) => {
+    const loc = dom.nodeLocation(el);
+    scripts.push({ file: `${htmlLabel}:${loc ? loc.startLine : 0} (inline)`, source: el.textContent });
+  });
+  const styleSource = stylePaths.map(readText).join('\n');
+
+  // 1) Selectors
+  const vocab = pageVocabulary(roots);
+  const writes = { tags: new Set(), attributes: new Set(), classes: new Set() };
+  const queried = [];
+  const dynamic = [];
+  scripts.forEach(({ file, source }) => {
+    const found = extractSelectors(source, file);
+    queried.push(...found.selectors);
+    dynamic.push(...found.dynamic);
+    const w = extractWrites(source);
+    Object.keys(writes).forEach(k => w[k].forEach(v => writes[k].add(v)));
+  });
+
+  const unmatched = [];
+  const runtime = [];
+  let matched = 0;
+  queried.forEach((entry) => {
+    let hit = false;
+    try {
+      hit = roots.some(root => root.querySelector(entry.selector));
+    } catch (err) {
+      unmatched.push({ ...entry, reason: `invalid selector: ${err.message}` });
+      return;
+    }
+    if (hit) matched += 1;
+    else if (isRuntimeSelector(entry.selector, vocab, writes)) runtime.push(entry);
+    else unmatched.push({ ...entry, reason: 'matches nothing in the page' });
+  });
+
+  // 2) data-* attributes nobody reads
+  const dataAttributes = new Map();
+  roots.forEach((root) => root.querySelectorAll('*').forEach((el) => {
+    for (const attr of el.attributes) {
+      if (!attr.name.startsWith('data-')) continue;
+      if (!dataAttributes.has(attr.name)) dataAttributes.set(attr.name, []);
+      dataAttributes.get(attr.name).push(el);
+    }
+  }));
+  const unread = [];
+  [...dataAttributes.keys()].sort().forEach((name) => {
+    if (scripts.some(({ source }) => readsName(source, name))) return;
+    const first = describeElement(dom, dataAttributes.get(name)[0], htmlLabel);
+    unread.push({ attribute: name, count: dataAttributes.get(name).length, styled: readsName(styleSource, name), ...first });
+  });
+
+  // 3) IDREFs
+  const broken = [];
+  roots.forEach((root) => {
+    const selector = CONTRACT.idrefs.map(a => `[${a}]`).join(', ');
+    root.querySelectorAll(selector).forEach((el) => {
+      CONTRACT.idrefs.forEach((attr) => {
+        (el.getAttribute(attr) || '').split(/\s+/).filter(Boolean).forEach((id) => {
+          const resolves = document.getElementById(id) || (root !== document && root.getElementById(id));
+          if (!resolves) broken.push({ attribute: attr, id, ...describeElement(dom, el, htmlLabel) });
+        });
+      });
+    });
+  });
+
+  // Split failures by the allowlist; attributes only the stylesheets read never fail, so they are not findings
+  const found = [
+    ...unmatched.map(e => ({ rule: 'selector', target: e.selector, finding: e })),
+    ...unread.filter(u => !u.styled).map(u => ({ rule: 'data-attribute', target: u.attribute, finding: u })),
+    ...broken.map(b => ({ rule: 'idref', target: `${b.attribute}=${b.id}`, finding: b }))
+  ];
+  const allowed = found.filter(f => allowlist.some(entry => allows(entry, f)));
+  const isAllowed = (finding) => allowed.some(f => f.finding === finding);
+  const stale = allowlist.filter(entry => !found.some(f => allows(entry, f)));
+
+  const failures = found.length - allowed.length;
+  return {
+    ok: failures === 0,
+    html: htmlLabel,
+    scripts: scripts.map(s => s.file),
+    selectors: { checked: queried.length, matched, unmatched: unmatched.filter(e => !isAllowed(e)), runtime, dynamic },
+    dataAttributes: { checked: dataAttributes.size, unread: unread.filter(u => !isAllowed(u)) },
+    idrefs: { broken: broken.filter(b => !isAllowed(b)) },
+    allowed: allowed.map(({ rule, target }) => ({ rule, target })),
+    stale
+  };
+}
+
+/**
+ * formatReport - human-readable report in the style of docs-check
+ */
+export function formatReport(report) {
+  const { selectors, dataAttributes, idrefs } = report;
+  const at = (e) => `${e.file}${e.line ? `:${e.line}` : ''}`;
+  const lines = [];
+  const section = (title, items) => {
+    if (!items.length) return;
+    lines.push(`- ${title}`, ...items.map(s => `   - ${s}`), '');
+  };
+
+  section('Selectors that match nothing in the page:', selectors.unmatched.map(e => `${e.selector}  (${e.call} in ${at(e)}; ${e.reason})`));
+  section('data-* attributes no script reads:', dataAttributes.unread.filter(u => !u.styled).map(u => `${u.attribute} on ${u.element} (${at(u)}${u.count > 1 ? `, ${u.count} elements` : ''})`));
+  section('IDREFs that do not resolve:', idrefs.broken.map(b => `${b.attribute}="${b.id}" on ${b.element} (${at(b)})`));
+
+  const notes = [];
+  const styledOnly = dataAttributes.unread.filter(u => u.styled);
+  if (styledOnly.length) notes.push(`Read by stylesheets only: ${styledOnly.map(u => u.attribute).join(', ')}`);
+  if (report.allowed.length) notes.push(`Allowlisted: ${[...new Set(report.allowed.map(a => `${a.rule} ${a.target}`))].join(' | ')}`);
+  if (selectors.runtime.length) notes.push(`${selectors.runtime.length} selector(s) target elements the scripts create: ${[...new Set(selectors.runtime.map(e => e.selector))].join(' | ')}`);
+  if (selectors.dynamic.length) notes.push(`${selectors.dynamic.length} dynamic selector(s) not checked: ${selectors.dynamic.map(at).join(', ')}`);
+
+  const summary = `${selectors.checked} selectors (${selectors.matched} matched), ${dataAttributes.checked} data-* attributes, ${report.scripts.length} scripts checked against ${report.html}.`;
+  const out = report.ok
+    ? [`Contract check passed: ${summary}`]
+    : ['Contract check found issues:', '', ...lines, summary];
+  if (notes.length) out.push('', 'Notes:', ...notes.map(n => ` - ${n}`));
+  if (report.stale.length) {
+    out.push('', 'Allowlist entries that no longer match anything (remove them):');
+    report.stale.forEach(e => out.push(` - ${e.rule}: ${e.target}`));
+  }
+  return out.join('\n');
+}
+
+// Allow running via `node ./scripts/contract-check.mjs`
+if (import.meta.url === url.pathToFileURL(process.argv[1]).href) {
+  const { values } = parseArgs({
+    options: {
+      json: { type: 'boolean', default: false },
+      out: { type: 'string' },
+      allowlist: { type: 'string', default: CONTRACT.allowlist }
+    }
+  });
+  const report = checkContract({ allowlist: path.resolve(values.allowlist) });
+  const json = JSON.stringify(report, null, 2);
+  if (values.out) {
+    fs.mkdirSync(path.dirname(path.resolve(values.out)), { recursive: true });
+    fs.writeFileSync(values.out, `${json}\n`);
+  }
+  if (values.json) console.log(json);
+  else (report.ok ? console.log : console.error)(formatReport(report));
+  process.exit(report.ok ? 0 : 1);
+}
@@ -1,18 +1,196 @@
-// Image optimization script placeholder (ESM)
-// TODO: Implement using sharp or squoosh to generate responsive images and thumbnails.
-// Suggested steps:
-// 1) Read from src/assets/images/full
-// 2) Output optimized sizes to src/assets/images/thumbnails and hero
-// 3) Create WebP/AVIF variants and preserve originals
-// 4) Write a JSON manifest that maps originals to variants for the gallery
+// Image optimization pipeline (ESM)
+// 1) Reads originals from src/assets/images/full
+// 2) Writes each profile's widths (thumbnails, hero) as AVIF, WebP and JPEG, never upscaling
+// 3) Strips EXIF/GPS/XMP metadata from every output (orientation is applied to the pixels first)
+// 4) Skips originals whose content hash and settings match the previous run
+// 5) Writes src/assets/data/images.json mapping each original to its variants, dimensions and a
+//    tiny blur placeholder; gallery.js reads it when the grid has data-image-manifest
+//
+// Usage: node ./scripts/img-optimize.mjs [--force]
 
-export async function optimizeImages() {
-  console.log('[img-optimize] TODO: implement optimization pipeline');
+import fs from 'node:fs';
+import path from 'node:path';
+import url from 'node:url';
+import { createHash } from 'node:crypto';
+import { parseArgs } from 'node:util';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+const repoRoot = path.resolve(__dirname, '..');
+const imagesRoot = path.join(repoRoot, 'src', 'assets', 'images');
+
+export const IMAGES = {
+  input: path.join(imagesRoot, 'full'),
+  root: path.join(repoRoot, 'src'), // manifest paths are relative to the site root, like projects.json
+  manifest: path.join(repoRoot, 'src', 'assets', 'data', 'images.json'),
+  extensions: ['.jpg', '.jpeg', '.png', '.webp', '.avif', '.tif', '.tiff'],
+  formats: {
+    avif: { quality: 50, effort: 4 },
+    webp: { quality: 75 },
+    jpeg: { quality: 80, mozjpeg: true, progressive: true }
+  },
+  profiles: {
+    // Cards: cropped to the 4:3 box of the card template's width/height attributes
+    thumb: {
+      dir: path.join(imagesRoot, 'thumbnails'),
+      widths: [320, 480, 640, 960],
+      aspect: 4 / 3,
+      sizes: '(min-width: 64rem) 320px, (min-width: 48rem) 33vw, 50vw'
+    },
+    // Hero and lightbox full-size sources: original aspect ratio
+    hero: {
+      dir: path.join(imagesRoot, 'hero'),
+      widths: [960, 1440, 1920, 2560]
+    }
+  },
+  placeholderWidth: 16
+};
+
+const EXTENSIONS = { avif: 'avif', webp: 'webp', jpeg: 'jpg' };
+
+/**
+ * toSitePath - "./assets/..." path for the manifest, relative to the site root
+ */
+function toSitePath(file, root) {
+  return `./${path.relative(root, file).split(path.sep).join('/')}`;
+}
+
+/**
+ * settingsKey - part of the cache key, so changing widths or quality regenerates everything
+ */
+function settingsKey(config) {
+  const profiles = Object.fromEntries(Object.entries(config.profiles).map(([name, p]) => [name, { widths: p.widths, aspect: p.aspect || null }]));
+  return JSON.stringify({ formats: config.formats, profiles, placeholderWidth: config.placeholderWidth });
+}
+
+/**
+ * targetWidths - configured widths the original can fill, plus the original width itself when it
+ * falls short of the largest one (so the biggest candidate is as sharp as the source allows)
+ */
+export function targetWidths(widths, originalWidth) {
+  const fit = [...new Set(widths)].filter(w => w <= originalWidth).sort((a, b) => a - b);
+  if (originalWidth < Math.max(...widths) && !fit.includes(originalWidth)) fit.push(originalWidth);
+  return fit;
+}
+
+/**
+ * readManifest - previous run's manifest, or an empty one
+ */
+function readManifest(file) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return data && typeof data.images === 'object' ? data : { version: 1, images: {} };
+  } catch {
+    return { version: 1, images: {} };
+  }
+}
+
+/**
+ * isFresh - cached entry for the same content and settings whose files are all still on disk
+ */
+function isFresh(entry, hash, root) {
+  if (!entry || entry.hash !== hash) return false;
+  return Object.values(entry.variants || {}).every(profile => Object.values(profile.formats || {}).every(list => (
+    list.every(v => fs.existsSync(path.join(root, v.src)))
+  )));
+}
+
+/**
+ * processImage - write every variant of one original and return its manifest entry
+ * sharp drops all metadata unless told to keep it; rotate() bakes the EXIF orientation in first.
+ */
+async function processImage(sharp, file, hash, config) {
+  const name = path.basename(file, path.extname(file));
+  const meta = await sharp(file).metadata();
+  const swap = (meta.orientation || 1) >= 5; // 90/270° rotations swap the axes
+  const width = swap ? meta.height : meta.width;
+  const height = swap ? meta.width : meta.height;
+
+  const variants = {};
+  for (const [profileName, profile] of Object.entries(config.profiles)) {
+    fs.mkdirSync(profile.dir, { recursive: true });
+    const formats = {};
+    for (const w of targetWidths(profile.widths, width)) {
+      const h = Math.round(profile.aspect ? w / profile.aspect : (w * height) / width);
+      for (const [format, options] of Object.entries(config.formats)) {
+        const out = path.join(profile.dir, `${name}-${w}.${EXTENSIONS[format]}`);
+        let pipeline = sharp(file)
+          .rotate()
+          .resize({ width: w, height: h, fit: 'cover', position: 'attention' });
+        if (format === 'jpeg') pipeline = pipeline.flatten({ background: '#ffffff' }); // no alpha in JPEG
+        await pipeline.toFormat(format, options).toFile(out);
+        (formats[format] ||= []).push({ src: toSitePath(out, config.root), width: w, height: h });
+      }
+    }
+    variants[profileName] = { ...(profile.sizes ? { sizes: profile.sizes } : {}), formats };
+  }
+
+  const tiny = await sharp(file).rotate().resize({ width: config.placeholderWidth }).webp({ quality: 40 }).toBuffer();
+  return {
+    hash,
+    width,
+    height,
+    placeholder: `data:image/webp;base64,${tiny.toString('base64')}`,
+    variants
+  };
+}
+
+/**
+ * optimizeImages - run the pipeline and write the manifest
+ * @param {{ force?: boolean, config?: typeof IMAGES, log?: (msg: string) => void }} [options]
+ * @returns {Promise<{ manifest: object, processed: string[], skipped: string[], removed: string[] }>}
+ */
+export async function optimizeImages({ force = false, config = IMAGES, log = console.log } = {}) {
+  let sharp;
+  try {
+    ({ default: sharp } = await import('sharp'));
+  } catch (err) {
+    throw new Error(`sharp is required: run npm install (${err.message})`);
+  }
+  sharp.concurrency(1); // keep memory flat on small machines; files are processed one at a time anyway
+
+  const previous = readManifest(config.manifest);
+  const originals = fs.existsSync(config.input)
+    ? fs.readdirSync(config.input).filter(f => config.extensions.includes(path.extname(f).toLowerCase())).sort()
+    : [];
+  const settings = settingsKey(config);
+  const manifest = { version: 1, images: {} };
+  const processed = [];
+  const skipped = [];
+  const names = new Map();
+
+  for (const original of originals) {
+    // Variants are named after the basename, so photo.jpg and photo.png would overwrite each other
+    const base = path.basename(original, path.extname(original));
+    if (names.has(base)) {
+      log(`[img-optimize] Skipping ${original}: same name as ${names.get(base)}`);
+      continue;
+    }
+    names.set(base, original);
+
+    const file = path.join(config.input, original);
+    const hash = createHash('sha256').update(fs.readFileSync(file)).update(settings).digest('hex');
+    if (!force && isFresh(previous.images[original], hash, config.root)) {
+      manifest.images[original] = previous.images[original];
+      skipped.push(original);
+      continue;
+    }
+    manifest.images[original] = await processImage(sharp, file, hash, config);
+    processed.push(original);
+    log(`[img-optimize] ${original}`);
+  }
+
+  // Originals that were deleted drop out of the manifest; their files are left for a manual clean-up
+  const removed = Object.keys(previous.images).filter(name => !manifest.images[name]);
+  fs.mkdirSync(path.dirname(config.manifest), { recursive: true });
+  fs.writeFileSync(config.manifest, `${JSON.stringify(manifest, null, 2)}\n`);
+  log(`[img-optimize] ${processed.length} processed, ${skipped.length} unchanged${removed.length ? `, ${removed.length} removed from the manifest` : ''} -> ${path.relative(repoRoot, config.manifest)}`);
+  return { manifest, processed, skipped, removed };
 }
 
 // Allow running via `node ./scripts/img-optimize.mjs`
-if (import.meta.url === `file://${process.argv[1]}`) {
-  optimizeImages().catch((err) => {
+if (import.meta.url === url.pathToFileURL(process.argv[1]).href) {
+  const { values } = parseArgs({ options: { force: { type: 'boolean', default: false } } });
+  optimizeImages({ force: values.force }).catch((err) => {
     console.error('[img-optimize] Failed:', err);
     process.exit(1);
   });
@@ -0,0 +1,337 @@
+#!/usr/bin/env node
+
+/**
+ * mail-sink.mjs
+ * Local development server for the contact form:
+ * 1) Serves src/ as static files
+ * 2) Accepts POST /api/contact (urlencoded or JSON), validated with the rules from the
+ *    [data-contact-form] markup in src/index.html (required, type="email", minlength, maxlength)
+ * 3) Rejects honeypot and oversized submissions
+ * 4) Appends accepted messages to a local JSONL or mbox file (by extension of --out)
+ *
+ * Usage: node ./scripts/mail-sink.mjs [--port 8080] [--out .mail-sink/messages.jsonl]
+ *
+ * JSON responses (when the request accepts application/json):
+ *   200 { ok: true, id }
+ *   400 { ok: false, error: 'rejected', message }              honeypot filled
+ *   400 { ok: false, error: 'bad_request', message }           unreadable body, or a malformed percent-encoded path
+ *   413 { ok: false, error: 'too_large', message }
+ *   415 { ok: false, error: 'unsupported_type', message }
+ *   422 { ok: false, error: 'invalid', message, fields: { [name]: message } }
+ * Plain form posts get a 303 back to /#contact on success and a short HTML page on error.
+ */
+
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import url from 'node:url';
+import { randomUUID } from 'node:crypto';
+import { parseArgs } from 'node:util';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+const repoRoot = path.resolve(__dirname, '..');
+
+export const MAIL_SINK = {
+  port: 8080,
+  root: path.join(repoRoot, 'src'),
+  out: path.join(repoRoot, '.mail-sink', 'messages.jsonl'),
+  endpoint: '/api/contact',
+  maxBytes: 16 * 1024
+};
+
+// Keep in sync with EMAIL_PATTERN in src/assets/scripts/contact.js
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.gif': 'image/gif',
+  '.ico': 'image/x-icon',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.vtt': 'text/vtt; charset=utf-8'
+};
+
+/**
+ * parseAttributes - attribute map from the inside of an HTML start tag
+ * @param {string} source
+ * @returns {Record<string, string>}
+ */
+function parseAttributes(source) {
+  const attrs = {};
+  for (const m of source.matchAll(/([\w:-]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g)) {
+    attrs[m[1].toLowerCase()] = m[2] ?? m[3] ?? m[4] ?? '';
+  }
+  return attrs;
+}
+
+/**
+ * loadFormRules - field rules and honeypot name from the first [data-contact-form] in the page
+ * @param {string} html
+ * @returns {{ fields: { name: string, label: string, type: string, required: boolean, minLength: number, maxLength: number }[], honeypot: string|null }}
+ */
+export function loadFormRules(html) {
+  const form = html.match(/<form\b[^>]*\bdata-contact-form\b[^>]*>([\s\S]*?)<\/form>/i);
+  if (!form) throw new Error('No [data-contact-form] found');
+  const body = form[1];
+
+  const labels = {};
+  for (const m of body.matchAll(/<label\b([^>]*)>([\s\S]*?)<\/label>/gi)) {
+    const { for: id } = parseAttributes(m[1]);
+    if (id) labels[id] = m[2].replace(/<[^>]+>/g, '').trim();
+  }
+
+  // The honeypot is the input marked data-honeypot, or the first input inside a data-honeypot wrapper
+  const hpIndex = body.search(/\bdata-honeypot\b/);
+  let honeypot = null;
+  const fields = [];
+  for (const m of body.matchAll(/<(input|textarea|select)\b([^>]*)>/gi)) {
+    const attrs = parseAttributes(m[2]);
+    if (!attrs.name) continue;
+    if (honeypot === null && hpIndex !== -1 && m.index >= body.lastIndexOf('<', hpIndex) && m[1].toLowerCase() === 'input') {
+      honeypot = attrs.name;
+      continue;
+    }
+    const type = m[1].toLowerCase() === 'input' ? (attrs.type || 'text').toLowerCase() : m[1].toLowerCase();
+    if (['hidden', 'submit', 'button'].includes(type)) continue;
+    fields.push({
+      name: attrs.name,
+      label: labels[attrs.id] || attrs.name,
+      type,
+      required: 'required' in attrs,
+      minLength: parseInt(attrs.minlength || '0', 10) || 0,
+      maxLength: parseInt(attrs.maxlength || '0', 10) || 0
+    });
+  }
+  return { fields, honeypot };
+}
+
+/**
+ * validateSubmission - field messages worded like the client's inline errors
+ * @param {Record<string, string>} data
+ * @param {ReturnType<typeof loadFormRules>['fields']} rules
+ * @returns {Record<string, string>} empty when valid
+ */
+export function validateSubmission(data, rules) {
+  const errors = {};
+  for (const rule of rules) {
+    const value = String(data[rule.name] ?? '').trim();
+    let message = '';
+    if (rule.required && !value) message = `${rule.label} is required.`;
+    else if (!value) message = '';
+    else if (rule.type === 'email' && !EMAIL_PATTERN.test(value)) message = 'Enter an email address in the format name@example.com.';
+    else if (rule.minLength && value.length < rule.minLength) message = `${rule.label} must be at least ${rule.minLength} characters (currently ${value.length}).`;
+    else if (rule.maxLength && value.length > rule.maxLength) message = `${rule.label} must be at most ${rule.maxLength} characters (currently ${value.length}).`;
+    if (message) errors[rule.name] = message;
+  }
+  return errors;
+}
+
+/**
+ * asctime - mbox From_ line date, e.g. "Mon Oct 19 09:05:00 2026" (UTC)
+ */
+function asctime(date) {
+  const [weekday, day, month, year, time] = date.toUTCString().replace(',', '').split(' ');
+  return `${weekday} ${month} ${day.padStart(2, ' ')} ${time} ${year}`;
+}
+
+/**
+ * formatMessage - one stored record; mbox when the output file ends in .mbox, else a JSONL line
+ */
+function formatMessage(record, out) {
+  if (!out.endsWith('.mbox')) return `${JSON.stringify(record)}\n`;
+  // Header values are folded to one line so submitted text can't inject headers
+  const fields = Object.fromEntries(Object.entries(record.fields).map(([name, value]) => [name, name === 'message' ? value : value.replace(/\s+/g, ' ')]));
+  const date = new Date(record.receivedAt);
+  const from = fields.email ? `${fields.name || ''} <${fields.email}>`.trim() : 'unknown@localhost';
+  const headers = [
+    `From mail-sink@localhost ${asctime(date)}`,
+    `From: ${from}`,
+    'To: contact@localhost',
+    `Subject: Contact form: ${fields.name || 'message'}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <${record.id}@mail-sink.localhost>`,
+    ...Object.entries(fields)
+      .filter(([name]) => !['name', 'email', 'message'].includes(name))
+      .map(([name, value]) => `X-Field-${name}: ${value}`)
+  ];
+  // mboxrd quoting so body lines can't start a new message
+  const text = String(fields.message || '').replace(/\r\n?/g, '\n').replace(/^(>*From )/gm, '>$1');
+  return `${headers.join('\n')}\n\n${text}\n\n`;
+}
+
+/**
+ * readBody - request body as a string, or null when it exceeds maxBytes
+ */
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        resolve(null);
+        req.resume();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(size > maxBytes ? null : Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+/**
+ * reply - JSON for fetch clients, redirect or short HTML page for the no-JS form post
+ */
+function reply(req, res, status, payload) {
+  if ((req.headers.accept || '').includes('application/json')) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(payload));
+    return;
+  }
+  if (payload.ok) {
+    res.writeHead(303, { Location: '/#contact' });
+    res.end();
+    return;
+  }
+  const items = Object.values(payload.fields || {}).map((msg) => `<li>${escapeHtml(msg)}</li>`).join('');
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(`<!doctype html><title>Message not sent</title><p>${escapeHtml(payload.message)}</p>${items ? `<ul>${items}</ul>` : ''}<p><a href="/#contact">Back to the form</a></p>`);
+}
+
+async function handleContact(req, res, options, rules) {
+  const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (!['application/x-www-form-urlencoded', 'application/json'].includes(type)) {
+    reply(req, res, 415, { ok: false, error: 'unsupported_type', message: 'Send the form as urlencoded or JSON data.' });
+    return;
+  }
+  const raw = await readBody(req, options.maxBytes);
+  if (raw === null) {
+    reply(req, res, 413, { ok: false, error: 'too_large', message: 'Your message is too long to send.' });
+    return;
+  }
+
+  /** @type {Record<string, string>} */
+  let data;
+  try {
+    data = type === 'application/json' ? JSON.parse(raw || '{}') : Object.fromEntries(new URLSearchParams(raw));
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('not an object');
+  } catch {
+    reply(req, res, 400, { ok: false, error: 'bad_request', message: 'The submission could not be read.' });
+    return;
+  }
+
+  if (rules.honeypot && String(data[rules.honeypot] ?? '').trim()) {
+    console.warn('[mail-sink] Rejected honeypot submission');
+    reply(req, res, 400, { ok: false, error: 'rejected', message: 'Your message could not be sent.' });
+    return;
+  }
+
+  const errors = validateSubmission(data, rules.fields);
+  const count = Object.keys(errors).length;
+  if (count) {
+    reply(req, res, 422, {
+      ok: false,
+      error: 'invalid',
+      message: count === 1 ? 'Please fix the highlighted field.' : `Please fix the ${count} highlighted fields.`,
+      fields: errors
+    });
+    return;
+  }
+
+  // Store only the fields the form declares, trimmed
+  const fields = Object.fromEntries(rules.fields.map((rule) => [rule.name, String(data[rule.name] ?? '').trim()]));
+  const record = { id: randomUUID(), receivedAt: new Date().toISOString(), fields };
+  await fs.promises.mkdir(path.dirname(options.out), { recursive: true });
+  await fs.promises.appendFile(options.out, formatMessage(record, options.out), 'utf8');
+  console.log(`[mail-sink] Stored message ${record.id} from ${fields.email || 'unknown'}`);
+  reply(req, res, 200, { ok: true, id: record.id });
+}
+
+async function serveStatic(req, res, root) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch {
+    reply(req, res, 400, { ok: false, error: 'bad_request', message: 'The address could not be read.' });
+    return;
+  }
+  let file = path.join(root, path.normalize(decoded));
+  if (file !== root && !file.startsWith(root + path.sep)) {
+    res.writeHead(403).end();
+    return;
+  }
+  try {
+    if ((await fs.promises.stat(file)).isDirectory()) file = path.join(file, 'index.html');
+    const content = await fs.promises.readFile(file);
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream' });
+    res.end(req.method === 'HEAD' ? undefined : content);
+  } catch {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Not found');
+  }
+}
+
+/**
+ * createMailSink - http.Server for src/ plus the contact endpoint (not yet listening)
+ * @param {Partial<typeof MAIL_SINK>} [options]
+ * @returns {http.Server}
+ */
+export function createMailSink(options = {}) {
+  const opts = { ...MAIL_SINK, ...options };
+  const rules = loadFormRules(fs.readFileSync(path.join(opts.root, 'index.html'), 'utf8'));
+
+  return http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    let task;
+    if (pathname === opts.endpoint) {
+      if (req.method !== 'POST') {
+        res.writeHead(405, { Allow: 'POST' }).end();
+        return;
+      }
+      task = handleContact(req, res, opts, rules);
+    } else if (req.method === 'GET' || req.method === 'HEAD') {
+      task = serveStatic(req, res, opts.root);
+    } else {
+      res.writeHead(405, { Allow: 'GET, HEAD' }).end();
+      return;
+    }
+    task.catch((err) => {
+      console.error('[mail-sink] Request failed:', err);
+      if (!res.headersSent) reply(req, res, 500, { ok: false, error: 'server_error', message: 'Something went wrong. Please try again.' });
+      else res.end();
+    });
+  });
+}
+
+// Allow running via `node ./scripts/mail-sink.mjs`
+if (import.meta.url === url.pathToFileURL(process.argv[1]).href) {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', default: process.env.PORT || String(MAIL_SINK.port) },
+      out: { type: 'string', default: MAIL_SINK.out }
+    }
+  });
+  const out = path.resolve(values.out);
+  const server = createMailSink({ out });
+  server.listen(Number(values.port), () => {
+    console.log(`[mail-sink] Serving src/ at http://localhost:${server.address().port}/`);
+    console.log(`[mail-sink] POST ${MAIL_SINK.endpoint} -> ${path.relative(process.cwd(), out)}`);
+  });
+}
@@ -95,20 +95,3 @@ export { getTabbables, trapFocus };
 on(document, 'DOMContentLoaded', () => {
   initFocusVisible();
 });
-// (removed duplicate legacy block)
-
-export function announce(message = '') {
-  const region = ensureLiveRegion();
-  // Clear first to ensure repetition is announced
-  region.textContent = '';
-  // Slight delay to trigger screen reader change
-  requestAnimationFrame(() => { region.textContent = message; });
-}
-
-// Reduced motion utility
-export function prefersReducedMotion() {
-  return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-}
-
-// Auto-setup live region after DOM ready
-on(document, 'DOMContentLoaded', () => { ensureLiveRegion(); });
@@ -0,0 +1,542 @@
+// contact.js - progressive-enhancement contact form (ESM)
+// Implements: inline validation with per-field errors, fetch submission with honeypot and rate limiting, status states,
+// draft persistence and an offline send queue (retried on `online` and on a timer, or handed to a service worker for Background Sync)
+// Without JS the form keeps native validation and posts to its action as a normal form submission.
+
+import { on, qsa, debounce } from './utils.js';
+
+// Defaults; per-form overrides via data-endpoint, data-rate-limit (ms) and minlength on fields
+const CONTACT = {
+  rateLimitMs: 30000, // minimum gap between successful sends
+  timeoutMs: 15000,
+  draftDelayMs: 500, // debounce for draft saves while typing
+  storageKey: 'contact:lastSent',
+  draftKey: 'contact:draft', // + ':' + form key
+  queueKey: 'contact:queue',
+  syncTag: 'contact-send',
+  retryMs: 30000 // retry gap for sends that failed while the browser still reported being online
+};
+
+// Plain pattern on purpose: catches typos without rejecting valid but unusual addresses
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const STATUS_MESSAGES = {
+  sending: 'Sending your message…',
+  success: 'Thanks! Your message has been sent.',
+  error: 'Sorry, your message could not be sent. Please try again in a moment.',
+  queued: 'You are offline. Your message is saved and will be sent automatically when you reconnect.',
+  retrying: 'The connection dropped. Your message is saved and will be sent automatically.',
+  flushed: 'Thanks! Your saved message has been sent.',
+  restored: 'We restored your unsent draft.'
+};
+
+/**
+ * responseError - Error for a failed response, carrying the server's JSON message and per-field errors
+ * when present ({ message, fields: { [name]: message } }, as returned by scripts/mail-sink.mjs)
+ * @param {Response} res
+ * @returns {Promise<Error & { status: number, fields?: Record<string, string> }>}
+ */
+async function responseError(res) {
+  let data = null;
+  try {
+    if ((res.headers?.get('Content-Type') || '').includes('application/json')) data = await res.json();
+  } catch {
+    // not JSON after all
+  }
+  const err = /** @type {Error & { status: number, fields?: Record<string, string> }} */ (new Error(data?.message || `HTTP ${res.status}`));
+  err.status = res.status;
+  if (data?.fields && typeof data.fields === 'object') err.fields = data.fields;
+  return err;
+}
+
+/**
+ * isNetworkFailure - the request got no response at all: fetch's network TypeError, or our timeout abort
+ * Flaky mobile connections fail this way while navigator.onLine is still true.
+ */
+function isNetworkFailure(err) {
+  return err instanceof TypeError || err?.name === 'AbortError';
+}
+
+/**
+ * readStore / writeStore - JSON in localStorage; storage may be blocked (private mode, policies)
+ */
+function readStore(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function writeStore(key, value) {
+  try {
+    if (value == null) localStorage.removeItem(key);
+    else localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * syncRegistration - the controlling service worker's registration when it supports Background Sync, else null
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+async function syncRegistration() {
+  if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller || !('SyncManager' in window)) return null;
+  try {
+    return await navigator.serviceWorker.ready;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * fieldLabel - visible label text for a field, used in error messages
+ */
+function fieldLabel(field) {
+  return (field.labels?.[0]?.textContent || field.name || 'This field').trim();
+}
+
+/**
+ * validateField - first failing rule for a field as a message, or '' when valid
+ * Rules come from the markup: required, type="email", minlength.
+ * @param {HTMLInputElement|HTMLTextAreaElement} field
+ * @returns {string}
+ */
+function validateField(field) {
+  const value = field.value.trim();
+  const label = fieldLabel(field);
+  if (field.required && !value) return `${label} is required.`;
+  if (!value) return '';
+  if (field.type === 'email' && !EMAIL_PATTERN.test(value)) return 'Enter an email address in the format name@example.com.';
+  const min = parseInt(field.getAttribute('minlength') || '', 10);
+  if (min > 0 && value.length < min) return `${label} must be at least ${min} characters (currently ${value.length}).`;
+  return '';
+}
+
+/**
+ * ContactForm - one enhanced [data-contact-form]
+ */
+export class ContactForm {
+  /**
+   * @param {HTMLFormElement} form
+   * @param {{ endpoint?: string, rateLimitMs?: number }} [options]
+   */
+  constructor(form, options = {}) {
+    this.form = form;
+    this.cleanups = [];
+    this.sending = false;
+
+    this.refs = {
+      status: form.querySelector('[data-form-status]'),
+      submit: form.querySelector('[type="submit"]'),
+      honeypot: form.querySelector('[data-honeypot] input, input[data-honeypot]')
+    };
+    // Fields validated inline; the honeypot is never validated
+    this.fields = qsa(form, 'input, textarea, select')
+      .filter((el) => el !== this.refs.honeypot && el.name && !['hidden', 'submit', 'button'].includes(el.type));
+
+    this.endpoint = options.endpoint || form.getAttribute('data-endpoint') || form.action;
+    // Identifies this form's draft and queue entries
+    this.key = form.id || form.getAttribute('name') || 'contact';
+    this.draftKey = `${CONTACT.draftKey}:${this.key}`;
+    this.saveDraftSoon = debounce(() => this.saveDraft(), CONTACT.draftDelayMs);
+    const rate = parseInt(form.getAttribute('data-rate-limit') || '', 10);
+    this.rateLimitMs = options.rateLimitMs ?? (rate >= 0 ? rate : CONTACT.rateLimitMs);
+
+    // Custom messages replace the browser's bubbles once JS is running
+    form.noValidate = true;
+    this.bind();
+    this.restoreDraft();
+    // Messages queued in an earlier visit
+    if (this.queue().length) {
+      if (navigator.onLine === false) this.setStatus('queued');
+      else this.flushQueue();
+    }
+  }
+
+  /**
+   * listen - on() that records its cleanup for destroy()
+   */
+  listen(target, type, handler, options) {
+    this.cleanups.push(on(target, type, handler, options));
+  }
+
+  /**
+   * errorNode - the field's error message element, created on first use and linked via aria-describedby
+   */
+  errorNode(field) {
+    const id = `${field.id || field.name}-error`;
+    let node = document.getElementById(id);
+    if (!node) {
+      node = document.createElement('p');
+      node.id = id;
+      node.className = 'field__error';
+      node.hidden = true;
+      field.insertAdjacentElement('afterend', node);
+    }
+    const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+    if (!describedBy.includes(id)) field.setAttribute('aria-describedby', [...describedBy, id].join(' '));
+    return node;
+  }
+
+  /**
+   * showFieldError - set or clear a field's message and aria-invalid
+   * @returns {boolean} whether the field is valid
+   */
+  showFieldError(field, message) {
+    const node = this.errorNode(field);
+    node.textContent = message;
+    node.hidden = !message;
+    if (message) field.setAttribute('aria-invalid', 'true');
+    else field.removeAttribute('aria-invalid');
+    return !message;
+  }
+
+  checkField(field) {
+    return this.showFieldError(field, validateField(field));
+  }
+
+  /**
+   * validate - check every field; focus the first invalid one
+   * @returns {boolean}
+   */
+  validate() {
+    const invalid = this.fields.filter((field) => !this.checkField(field));
+    if (invalid.length) {
+      invalid[0].focus();
+      this.setStatus('error', invalid.length === 1
+        ? 'Please fix the highlighted field.'
+        : `Please fix the ${invalid.length} highlighted fields.`);
+    }
+    return !invalid.length;
+  }
+
+  /**
+   * showServerErrors - map a failed response's field errors onto the form, else show the generic error
+   */
+  showServerErrors(err) {
+    const invalid = this.fields.filter((field) => err.fields?.[field.name] && !this.showFieldError(field, err.fields[field.name]));
+    if (invalid.length) {
+      invalid[0].focus();
+      this.setStatus('error', err.message);
+    } else {
+      this.setStatus('error');
+    }
+  }
+
+  /**
+   * setStatus - 'sending' | 'success' | 'error' | '' on the form (data-state) and in [data-form-status]
+   */
+  setStatus(state, message = STATUS_MESSAGES[state] || '') {
+    if (state) this.form.setAttribute('data-state', state);
+    else this.form.removeAttribute('data-state');
+    if (!this.refs.status) return;
+    this.refs.status.setAttribute('data-state', state);
+    this.refs.status.textContent = message;
+  }
+
+  setSending(sending) {
+    this.sending = sending;
+    this.form.setAttribute('aria-busy', String(sending));
+    if (this.refs.submit) this.refs.submit.disabled = sending;
+  }
+
+  /**
+   * rateLimitRemaining - ms until another send is allowed (shared across tabs via localStorage)
+   */
+  rateLimitRemaining() {
+    let last = 0;
+    try {
+      last = parseInt(localStorage.getItem(CONTACT.storageKey) || '0', 10);
+    } catch {
+      last = this.lastSent || 0; // storage blocked (private mode, policies)
+    }
+    return Math.max(0, last + this.rateLimitMs - Date.now());
+  }
+
+  markSent() {
+    this.lastSent = Date.now();
+    try {
+      localStorage.setItem(CONTACT.storageKey, String(this.lastSent));
+    } catch {
+      // in-memory fallback already set
+    }
+  }
+
+  /**
+   * values - current field values by name (honeypot excluded)
+   * @returns {Record<string, string>}
+   */
+  values() {
+    return Object.fromEntries(this.fields.map((field) => [field.name, field.value]));
+  }
+
+  /**
+   * serialize - urlencoded body, the same one the no-JS fallback sends
+   */
+  serialize() {
+    return new URLSearchParams(new FormData(this.form)).toString();
+  }
+
+  /**
+   * saveDraft - store non-empty field values; an empty form removes the draft
+   */
+  saveDraft() {
+    const values = this.values();
+    const filled = Object.values(values).some((value) => value.trim());
+    writeStore(this.draftKey, filled ? { values, savedAt: Date.now() } : null);
+  }
+
+  clearDraft() {
+    writeStore(this.draftKey, null);
+  }
+
+  /**
+   * restoreDraft - refill empty fields from a saved draft and announce it
+   * Fields the browser already restored or autofilled are left alone.
+   */
+  restoreDraft() {
+    const draft = readStore(this.draftKey, null);
+    if (!draft?.values) return;
+    let restored = false;
+    this.fields.forEach((field) => {
+      const value = draft.values[field.name];
+      if (typeof value === 'string' && value && !field.value) {
+        field.value = value;
+        restored = true;
+      }
+    });
+    if (restored) this.setStatus('', STATUS_MESSAGES.restored);
+  }
+
+  /**
+   * queue - this form's pending entries; writeQueue keeps other forms' entries intact
+   * @returns {{ id: string, form: string, endpoint: string, body: string, queuedAt: number, sync?: boolean }[]}
+   */
+  queue() {
+    return readStore(CONTACT.queueKey, []).filter((entry) => entry.form === this.key);
+  }
+
+  writeQueue(entries) {
+    const others = readStore(CONTACT.queueKey, []).filter((entry) => entry.form !== this.key);
+    const all = [...others, ...entries];
+    return writeStore(CONTACT.queueKey, all.length ? all : null);
+  }
+
+  /**
+   * enqueue - store a send that got no response; prefer Background Sync, else retry on `online` or a timer
+   * With a sync-capable service worker the entry is posted to it as { type: 'contact:queue', entry } and
+   * the worker replies { type: 'contact:sent' | 'contact:failed', id } (see README).
+   * @returns {Promise<boolean>} false when storage is unavailable and nothing was queued
+   */
+  async enqueue(body) {
+    const entry = {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      form: this.key,
+      endpoint: this.endpoint,
+      body,
+      queuedAt: Date.now()
+    };
+    if (!this.writeQueue([...this.queue(), entry])) return false;
+
+    const registration = await syncRegistration();
+    if (registration) {
+      try {
+        navigator.serviceWorker.controller.postMessage({ type: 'contact:queue', entry });
+        await registration.sync.register(CONTACT.syncTag);
+        this.writeQueue(this.queue().map((e) => (e.id === entry.id ? { ...e, sync: true } : e)));
+      } catch (err) {
+        console.warn('[contact] Background Sync unavailable, retrying when online:', err);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * completeQueued - a queued entry was delivered; clear the draft and form if they still hold that message
+   */
+  completeQueued(entry) {
+    this.writeQueue(this.queue().filter((e) => e.id !== entry.id));
+    this.markSent();
+    if (this.serialize() === entry.body) {
+      this.clearDraft();
+      this.reset();
+    }
+    this.setStatus('success', STATUS_MESSAGES.flushed);
+  }
+
+  /**
+   * flushQueue - resend queued entries not owned by a service worker
+   * Each entry is removed before sending so another tab reacting to the same `online` event skips it.
+   */
+  async flushQueue() {
+    if (this.flushing) return;
+    this.flushing = true;
+    try {
+      for (const entry of this.queue().filter((e) => !e.sync)) {
+        if (!this.queue().some((e) => e.id === entry.id)) continue; // claimed elsewhere
+        this.writeQueue(this.queue().filter((e) => e.id !== entry.id));
+        try {
+          await this.send(entry.body, entry.endpoint);
+          this.completeQueued(entry);
+        } catch (err) {
+          if (err.status >= 400 && err.status < 500) {
+            // Rejected outright; retrying won't help. The draft stays so the visitor can fix and resend.
+            console.warn('[contact] Queued message rejected:', err);
+            this.showServerErrors(err);
+            continue;
+          }
+          console.warn('[contact] Queued message not sent yet:', err);
+          this.writeQueue([...this.queue(), entry]);
+          this.scheduleRetry();
+          break;
+        }
+      }
+    } finally {
+      this.flushing = false;
+    }
+  }
+
+  /**
+   * scheduleRetry - flush again later; `online` never fires while the browser thinks it is already online
+   */
+  scheduleRetry() {
+    clearTimeout(this.retryTimer);
+    if (navigator.onLine !== false) this.retryTimer = setTimeout(() => this.flushQueue(), CONTACT.retryMs);
+  }
+
+  /**
+   * onWorkerMessage - results for entries handed to the service worker
+   */
+  onWorkerMessage(e) {
+    const { type, id } = e.data || {};
+    const entry = this.queue().find((item) => item.id === id);
+    if (!entry) return;
+    if (type === 'contact:sent') this.completeQueued(entry);
+    else if (type === 'contact:failed') {
+      // Worker gave up; fall back to retrying from the page
+      this.writeQueue(this.queue().map((item) => (item.id === id ? { ...item, sync: false } : item)));
+      if (navigator.onLine !== false) this.flushQueue();
+    }
+  }
+
+  /**
+   * send - POST an urlencoded body to the endpoint
+   * @param {string|URLSearchParams} body
+   * @param {string} [endpoint]
+   * @returns {Promise<Response>}
+   */
+  async send(body, endpoint = this.endpoint) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), CONTACT.timeoutMs);
+    try {
+      const res = await fetch(endpoint, {
+        method: 'POST',
+        headers: { Accept: 'application/json', 'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8' },
+        body,
+        signal: controller.signal
+      });
+      if (!res.ok) throw await responseError(res);
+      return res;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async onSubmit(e) {
+    e.preventDefault();
+    if (this.sending) return;
+    if (!this.validate()) return;
+
+    // Bots fill every field; humans never see this one. Pretend it worked.
+    if (this.refs.honeypot?.value) {
+      this.reset();
+      this.setStatus('success');
+      return;
+    }
+
+    const wait = this.rateLimitRemaining();
+    if (wait > 0) {
+      this.setStatus('error', `Please wait ${Math.ceil(wait / 1000)} seconds before sending another message.`);
+      return;
+    }
+
+    const body = this.serialize();
+    this.setSending(true);
+    this.setStatus('sending');
+    try {
+      // Known offline: skip the doomed request and queue straight away
+      if (navigator.onLine === false) throw new Error('offline');
+      await this.send(body);
+      this.markSent();
+      this.clearDraft();
+      this.reset();
+      this.setStatus('success');
+    } catch (err) {
+      // Offline and no-response failures are queued; the draft stays until a queued send is confirmed
+      const offline = navigator.onLine === false;
+      if ((offline || isNetworkFailure(err)) && await this.enqueue(body)) {
+        this.saveDraft();
+        this.setStatus('queued', STATUS_MESSAGES[offline ? 'queued' : 'retrying']);
+        this.scheduleRetry();
+      } else {
+        console.warn('[contact] Submission failed:', err);
+        this.showServerErrors(err);
+      }
+    } finally {
+      this.setSending(false);
+    }
+  }
+
+  /**
+   * reset - clear values and any inline errors
+   */
+  reset() {
+    this.form.reset();
+    this.fields.forEach((field) => this.showFieldError(field, ''));
+  }
+
+  bind() {
+    this.listen(this.form, 'submit', (e) => this.onSubmit(e), false);
+    // Validate on leaving a field; once a field shows an error, re-check as the user types so it clears promptly
+    this.fields.forEach((field) => {
+      this.listen(field, 'blur', () => {
+        if (field.value.trim() || field.hasAttribute('aria-invalid')) this.checkField(field);
+      });
+      this.listen(field, 'input', () => {
+        if (field.hasAttribute('aria-invalid')) this.checkField(field);
+        this.saveDraftSoon();
+      });
+    });
+    // Save immediately when the page goes away so the debounce can't drop the last keystrokes
+    this.listen(window, 'pagehide', () => this.saveDraft());
+    this.listen(window, 'online', () => this.flushQueue());
+    if ('serviceWorker' in navigator) this.listen(navigator.serviceWorker, 'message', (e) => this.onWorkerMessage(e));
+  }
+
+  /**
+   * destroy - remove listeners; the form falls back to native validation and a normal POST
+   * Saved drafts and queued messages are kept for the next instance.
+   */
+  destroy() {
+    this.saveDraft();
+    clearTimeout(this.retryTimer);
+    this.cleanups.splice(0).forEach((fn) => fn());
+    this.form.noValidate = false;
+  }
+}
+
+/**
+ * initContactForms - enhance every [data-contact-form]
+ * @param {{ endpoint?: string, rateLimitMs?: number }} [options]
+ * @returns {ContactForm[]}
+ */
+export function initContactForms(options = {}) {
+  return qsa(document, '[data-contact-form]').map((form) => new ContactForm(/** @type {HTMLFormElement} */ (form), options));
+}
+
+// Auto-init on DOM ready
+on(document, 'DOMContentLoaded', () => { initContactForms(); });
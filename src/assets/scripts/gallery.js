@@ -1,173 +1,938 @@
 // gallery.js - portfolio gallery interactions (ESM)
-// Implements: filters, count announcements, and lightbox bindings (hooks)
+// Implements: manifest rendering, category/tag facet filters, text search, sorting, pagination, count announcements, and lightbox bindings (hooks)
+// Each [data-gallery] root gets its own Gallery instance; pure helpers below are shared.
 
-import { on, delegate, qsa, togglePressed, liveRegion, prefersReducedMotion, getHashParam, setHashParam } from './utils.js';
+import { on, delegate, qs, qsa, togglePressed, liveRegion, prefersReducedMotion, clamp, debounce, getHashParam, setHashParams } from './utils.js';
 
-const state = {
-  items: [],
-  activeFilter: 'all',
-  page: 1,
-  pageSize: 12
-};
+const sourceOrder = new WeakMap();
 
-let refs = {
-  grid: null,
-  filters: null,
-  countNode: null
-};
+/**
+ * loadManifest - resolve the projects list from options or the grid's data-manifest URL
+ * Accepts either a bare array or an object with a `projects` array.
+ * Returns null when no manifest is configured or it cannot be loaded (static markup stays).
+ * Image sources are then merged in from the image manifest, when one is configured.
+ * @param {Element|null} grid
+ * @param {{ projects?: object[], manifestUrl?: string, imageManifestUrl?: string }} options
+ * @returns {Promise<object[]|null>}
+ */
+async function loadManifest(grid, { projects, manifestUrl, imageManifestUrl } = {}) {
+  let list = Array.isArray(projects) ? projects : null;
+  const url = manifestUrl || grid?.getAttribute('data-manifest');
+  if (!list && !url) return null;
+  if (!list) {
+    try {
+      const res = await fetch(url, { headers: { Accept: 'application/json' } });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      list = Array.isArray(data) ? data : data?.projects;
+      if (!Array.isArray(list)) return null;
+    } catch (err) {
+      console.warn('[gallery] Manifest unavailable, keeping static markup:', err);
+      return null;
+    }
+  }
+  const images = await loadImageManifest(imageManifestUrl || grid?.getAttribute('data-image-manifest'));
+  return images ? list.map(project => withImageVariants(project, images)) : list;
+}
 
-function initRefs() {
-  refs.grid = document.querySelector('[data-gallery-grid]');
-  refs.filters = document.querySelector('[data-gallery-filters]');
-  refs.countNode = document.querySelector('[data-gallery-count]');
+/**
+ * loadImageManifest - variants written by scripts/img-optimize.mjs ({ images: { [original]: entry } })
+ * Optional: without one (or when it fails to load) projects keep their own thumb/full paths.
+ * @param {string|null|undefined} url
+ * @returns {Promise<Record<string, object>|null>}
+ */
+async function loadImageManifest(url) {
+  if (!url) return null;
+  try {
+    const res = await fetch(url, { headers: { Accept: 'application/json' } });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const data = await res.json();
+    return data && typeof data.images === 'object' ? data.images : null;
+  } catch (err) {
+    console.warn('[gallery] Image manifest unavailable, using project image paths:', err);
+    return null;
+  }
 }
 
-function hydrateItems() {
-  if (!refs.grid) return;
-  state.items = qsa(refs.grid, '[data-gallery-item]');
+const toSrcset = (list) => list.map(v => `${v.src} ${v.width}w`).join(', ');
+
+/**
+ * withImageVariants - project entry with sources from its image manifest entry
+ * The entry is found by `image` (the original's file name) or the file name of `full`. Optimized
+ * thumb/full replace the project's paths; srcsets, sizes, dimensions and the placeholder only fill
+ * fields the project does not set itself.
+ */
+function withImageVariants(project, images) {
+  const name = project.image || String(project.full || '').split('/').pop();
+  const entry = name && images[name];
+  if (!entry?.variants) return project;
+  const { thumb, hero } = entry.variants;
+  const derived = { placeholder: entry.placeholder };
+
+  const cards = thumb?.formats?.jpeg;
+  if (cards?.length) {
+    derived.thumb = (cards.find(v => v.width >= 480) || cards[cards.length - 1]).src;
+    derived.thumbSrcset = toSrcset(cards);
+    derived.thumbSizes = thumb.sizes;
+    if (thumb.formats.avif?.length) derived.thumbAvif = toSrcset(thumb.formats.avif);
+    if (thumb.formats.webp?.length) derived.thumbWebp = toSrcset(thumb.formats.webp);
+  }
+  const full = hero?.formats?.jpeg;
+  if (full?.length) {
+    const largest = full[full.length - 1];
+    Object.assign(derived, { full: largest.src, fullSrcset: toSrcset(full), fullWidth: largest.width, fullHeight: largest.height });
+    if (hero.formats.avif?.length) derived.fullAvif = toSrcset(hero.formats.avif);
+    if (hero.formats.webp?.length) derived.fullWebp = toSrcset(hero.formats.webp);
+  }
+  return { ...derived, ...project, thumb: derived.thumb || project.thumb, full: derived.full || project.full };
 }
 
 /**
- * matchFilter - returns true if item matches active filter
- * Item tags are read from data-tags as space or comma separated list
+ * fillSlot - set text or attributes on a [data-slot] node inside a cloned card
+ * Text is assigned via textContent so manifest values are never parsed as HTML.
  */
-function matchFilter(item, filter) {
-  if (filter === 'all') return true;
-  const tagsAttr = item.getAttribute('data-tags') || '';
-  const tags = tagsAttr.split(/[,\\s]+/).filter(Boolean).map(t => t.toLowerCase());
-  return tags.includes(filter.toLowerCase());
+function fillSlot(root, name, fn) {
+  const node = root.querySelector(`[data-slot="${name}"]`);
+  if (node) fn(node);
 }
 
 /**
- * applyFilter - toggle visibility class only (CSS controls animation)
+ * renderCard - build a .gallery__item from the card template and a manifest entry
+ * Entry fields: id, title, category, tags[], date, featured, thumb, full, alt, caption, meta,
+ * plus optional card sources thumbSrcset, thumbSizes, thumbAvif, thumbWebp, placeholder (filled from the image manifest)
+ * plus optional lightbox sources fullSrcset, fullSizes, fullAvif, fullWebp, fullWidth, fullHeight
+ * and rich media fields type ('video' | 'iframe' | 'html'), poster, captions, sandbox, template,
+ * and info panel fields description (plain text), infoTemplate, demoUrl, repoUrl
+ * @param {HTMLTemplateElement} template
+ * @param {object} project
+ * @param {number} index
+ * @returns {HTMLElement|null}
  */
-export function applyFilter(value = 'all', announce = true) {
-  state.activeFilter = value;
+function renderCard(template, project, index) {
+  const item = /** @type {HTMLElement|null} */ (template.content.firstElementChild?.cloneNode(true));
+  if (!item) return null;
+  const tags = Array.isArray(project.tags) ? project.tags : String(project.tags || '').split(/[,\s]+/).filter(Boolean);
 
-  // Update pressed states for buttons
-  if (refs.filters) {
-    const buttons = qsa(refs.filters, '[data-filter]');
-    buttons.forEach(btn => {
-      const v = btn.getAttribute('data-filter') || 'all';
-      const isActive = v === value;
-      btn.setAttribute('aria-pressed', String(isActive));
-      btn.toggleAttribute('data-active', isActive);
-    });
-  }
+  if (project.id) item.setAttribute('data-id', project.id);
+  if (project.category) item.setAttribute('data-category', project.category);
+  if (project.date) item.setAttribute('data-date', project.date);
+  if (project.featured != null) item.setAttribute('data-featured', String(project.featured));
+  item.setAttribute('data-tags', tags.join(','));
 
-  // Show/hide items by class to leverage CSS tokens
-  let visibleCount = 0;
-  state.items.forEach(item => {
-    const show = matchFilter(item, value);
-    item.toggleAttribute('data-hidden', !show);
-    if (show) visibleCount++;
+  // Lightbox full-size sources (see docs/lightbox-component.md "Image update sources")
+  [
+    ['data-full-srcset', project.fullSrcset],
+    ['data-full-sizes', project.fullSizes],
+    ['data-full-avif', project.fullAvif],
+    ['data-full-webp', project.fullWebp],
+    ['data-full-width', project.fullWidth],
+    ['data-full-height', project.fullHeight],
+    ['data-type', project.type],
+    ['data-poster', project.poster],
+    ['data-captions', project.captions],
+    ['data-sandbox', project.sandbox],
+    ['data-template', project.template],
+    ['data-description', project.description],
+    ['data-info-template', project.infoTemplate],
+    ['data-demo-url', project.demoUrl],
+    ['data-repo-url', project.repoUrl]
+  ].forEach(([name, value]) => {
+    if (value != null && value !== '') item.setAttribute(name, String(value));
   });
 
-  // Update count node and announce
-  if (refs.countNode) {
-    refs.countNode.textContent = String(visibleCount);
-  }
-  if (announce) {
-    liveRegion(`${visibleCount} items ${value === 'all' ? '' : `matching ${value}`} shown`, 'polite');
-  }
+  fillSlot(item, 'link', (a) => {
+    a.setAttribute('href', project.full || project.thumb || '#');
+    a.setAttribute('data-index', String(index));
+  });
+  fillSlot(item, 'thumb', (img) => {
+    if (project.thumb) {
+      img.setAttribute('src', project.thumb);
+      img.setAttribute('srcset', project.thumbSrcset || `${project.thumb} ${img.getAttribute('width') || 480}w`);
+    }
+    if (project.thumbSizes) img.setAttribute('sizes', project.thumbSizes);
+    // Tiny blurred preview behind the image until it loads (CSSOM, so a strict style-src CSP still allows it)
+    if (project.placeholder) img.style.backgroundImage = `url("${project.placeholder}")`;
+    img.setAttribute('alt', project.alt || project.title || '');
+  });
+  // AVIF/WebP <picture> sources ahead of the JPEG img; a source with no srcset is dropped
+  [['thumb-avif', project.thumbAvif], ['thumb-webp', project.thumbWebp]].forEach(([name, srcset]) => {
+    fillSlot(item, name, (source) => {
+      if (!srcset) {
+        source.remove();
+        return;
+      }
+      source.setAttribute('srcset', srcset);
+      if (project.thumbSizes) source.setAttribute('sizes', project.thumbSizes);
+    });
+  });
+  fillSlot(item, 'caption', (el) => { el.textContent = project.caption || project.title || ''; });
+  fillSlot(item, 'title', (el) => { el.textContent = project.title || ''; });
+  fillSlot(item, 'meta', (el) => { el.textContent = project.meta || ''; });
+
+  // Slot markers are a render-time contract only
+  item.querySelectorAll('[data-slot]').forEach((el) => el.removeAttribute('data-slot'));
+  return item;
+}
+
+
+/**
+ * getItemTags - lowercased tags from data-tags (space or comma separated)
+ * @param {Element} item
+ * @returns {string[]}
+ */
+function getItemTags(item) {
+  const tagsAttr = item.getAttribute('data-tags') || '';
+  return tagsAttr.split(/[,\s]+/).filter(Boolean).map(t => t.toLowerCase());
 }
 
 /**
- * Sync filter to/from URL hash (#filter=tag)
+ * matchCategory - category facet, read from data-category
  */
-function applyFromHash() {
-  const f = getHashParam('filter') || 'all';
-  applyFilter(f, false);
+function matchCategory(item, category) {
+  if (category === 'all') return true;
+  return (item.getAttribute('data-category') || '').toLowerCase() === category;
 }
-function pushFilterToHash(value) {
-  if (value === 'all') {
-    setHashParam('filter', null);
-  } else {
-    setHashParam('filter', value);
+
+/**
+ * matchFilter - returns true if item matches the facet query and search text
+ * Tags combine with OR ('any') or AND ('all'); no selected tags means no tag constraint.
+ * @param {Element} item
+ * @param {{ category: string, tags: string[], match: 'any'|'all', search: string }} query
+ */
+function matchFilter(item, query) {
+  if (!matchCategory(item, query.category)) return false;
+  if (!matchSearch(item, searchTerms(query.search))) return false;
+  if (!query.tags.length) return true;
+  const tags = getItemTags(item);
+  return query.match === 'all'
+    ? query.tags.every(t => tags.includes(t))
+    : query.tags.some(t => tags.includes(t));
+}
+
+/**
+ * Text search
+ * Terms are ANDed; a term matches a word by prefix, by substring (3+ chars),
+ * or within one edit (4+ chars) so simple typos still find the project.
+ */
+const searchIndex = new WeakMap();
+
+function toWords(text) {
+  return text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+function searchTerms(search) {
+  return toWords(search || '');
+}
+
+/**
+ * getSearchWords - title, meta line, caption and tags of an item (cached per node)
+ */
+function getSearchWords(item) {
+  let words = searchIndex.get(item);
+  if (!words) {
+    const text = [
+      qs(item, '.card__title')?.textContent,
+      qs(item, '.card__meta')?.textContent,
+      item.getAttribute('data-caption') || qs(item, '.card__caption')?.textContent,
+      getItemTags(item).join(' ')
+    ].filter(Boolean).join(' ');
+    words = toWords(text);
+    searchIndex.set(item, words);
   }
+  return words;
 }
 
 /**
- * initFilters - click/keyboard operable filter controls
+ * withinOneEdit - true when a and b differ by at most one insertion, deletion or substitution
  */
-function initFilters() {
-  if (!refs.filters) return;
+function withinOneEdit(a, b) {
+  if (Math.abs(a.length - b.length) > 1) return false;
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) { i++; j++; continue; }
+    if (++edits > 1) return false;
+    if (a.length > b.length) i++;
+    else if (a.length < b.length) j++;
+    else { i++; j++; }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+}
 
-  // Use event delegation for robustness
-  delegate(refs.filters, 'click', '[data-filter]', (e, btn) => {
-    e.preventDefault();
-    const value = btn.getAttribute('data-filter') || 'all';
-    applyFilter(value);
-    pushFilterToHash(value);
-  });
+function matchWord(word, term) {
+  if (word.startsWith(term)) return true;
+  if (term.length >= 3 && word.includes(term)) return true;
+  // Compare against the whole word and against a same-length prefix (typo while still typing)
+  return term.length >= 4 && (withinOneEdit(word, term) || withinOneEdit(word.slice(0, term.length), term));
+}
 
-  // Keyboard support for Enter/Space if needed
-  delegate(refs.filters, 'keydown', '[data-filter]', (e, btn) => {
-    if (e.key === 'Enter' || e.key === ' ') {
-      e.preventDefault();
-      const value = btn.getAttribute('data-filter') || 'all';
-      applyFilter(value);
-      pushFilterToHash(value);
-    }
-  }, false);
+function matchSearch(item, terms) {
+  if (!terms.length) return true;
+  const words = getSearchWords(item);
+  return terms.every(term => words.some(word => matchWord(word, term)));
 }
 
 /**
- * initLightboxBindings - delegate to open lightbox from gallery cards
- * Actual lightbox implementation resides in lightbox.js; we dispatch a custom event
+ * highlightTitle - wrap matched words of .card__title in <mark>
+ * Rebuilt from textContent with text nodes only, so titles are never parsed as HTML.
  */
-function initLightboxBindings() {
-  if (!refs.grid) return;
-  delegate(refs.grid, 'click', '[data-gallery-item] a, [data-gallery-item] button, [data-gallery-item] [data-lightbox-trigger]', (e, target) => {
-    const card = target.closest('[data-gallery-item]');
-    if (!card) return;
-    const index = state.items.indexOf(card);
-    if (index >= 0) {
-      e.preventDefault();
-      const ev = new CustomEvent('lightbox:open', { bubbles: true, detail: { index } });
-      card.dispatchEvent(ev);
+function highlightTitle(item, terms) {
+  const title = qs(item, '.card__title');
+  if (!title) return;
+  const text = title.textContent || '';
+  if (!terms.length) {
+    if (title.querySelector('mark')) title.textContent = text;
+    return;
+  }
+  const frag = document.createDocumentFragment();
+  text.split(/([^\p{L}\p{N}]+)/u).forEach(part => {
+    if (!part) return;
+    const word = part.toLowerCase();
+    if (terms.some(term => matchWord(word, term))) {
+      const mark = document.createElement('mark');
+      mark.textContent = part;
+      frag.appendChild(mark);
+    } else {
+      frag.appendChild(document.createTextNode(part));
     }
   });
+  title.replaceChildren(frag);
+}
+
+/**
+ * normalizeQuery - coerce a partial query (or legacy category string) into a full one
+ */
+function normalizeQuery(input = {}) {
+  const q = typeof input === 'string' ? { category: input } : input;
+  const tags = Array.isArray(q.tags) ? q.tags : String(q.tags || '').split(',');
+  return {
+    category: String(q.category || 'all').toLowerCase(),
+    tags: Array.from(new Set(tags.map(t => t.trim().toLowerCase()).filter(Boolean))),
+    match: q.match === 'all' ? 'all' : 'any',
+    search: String(q.search || '').trim()
+  };
+}
+
+/**
+ * describeQuery - human readable summary for announcements
+ */
+function describeQuery(query) {
+  const parts = [];
+  if (query.category !== 'all') parts.push(`in ${query.category}`);
+  if (query.tags.length) parts.push(`tagged ${query.tags.join(query.match === 'all' ? ' and ' : ' or ')}`);
+  if (query.search) parts.push(`matching “${query.search}”`);
+  return parts.join(', ');
+}
+
+/**
+ * Sorting
+ * featured: data-featured rank ascending (unranked items keep source order after ranked ones)
+ * newest / oldest: data-date (ISO 8601); undated items sort last
+ * title: .card__title, locale-aware and case-insensitive
+ */
+function featuredRank(item) {
+  const n = parseFloat(item.getAttribute('data-featured') || '');
+  return Number.isFinite(n) ? n : Infinity;
+}
+function itemTime(item) {
+  const t = Date.parse(item.getAttribute('data-date') || '');
+  return Number.isNaN(t) ? null : t;
+}
+function compareDates(a, b, dir) {
+  const ta = itemTime(a);
+  const tb = itemTime(b);
+  if (ta == null || tb == null) return Number(ta == null) - Number(tb == null);
+  return dir * (ta - tb);
+}
+function itemTitle(item) {
+  return (qs(item, '.card__title')?.textContent || '').trim();
+}
+
+const SORTS = {
+  featured: (a, b) => {
+    const ra = featuredRank(a);
+    const rb = featuredRank(b);
+    return ra === rb ? 0 : (ra < rb ? -1 : 1);
+  },
+  newest: (a, b) => compareDates(a, b, -1),
+  oldest: (a, b) => compareDates(a, b, 1),
+  title: (a, b) => itemTitle(a).localeCompare(itemTitle(b), undefined, { sensitivity: 'base' })
+};
+
+const SORT_LABELS = {
+  featured: 'featured',
+  newest: 'newest first',
+  oldest: 'oldest first',
+  title: 'title'
+};
+
+/**
+ * animateReorder - FLIP: invert each visible card from its old position, then play to the new one
+ * @param {Map<HTMLElement, DOMRect>} first
+ */
+function animateReorder(first) {
+  first.forEach((rect, item) => {
+    if (item.hasAttribute('data-hidden') || typeof item.animate !== 'function') return;
+    const last = item.getBoundingClientRect();
+    const dx = rect.left - last.left;
+    const dy = rect.top - last.top;
+    if (!dx && !dy) return;
+    item.animate(
+      [{ transform: `translate(${dx}px, ${dy}px)` }, { transform: 'none' }],
+      { duration: 250, easing: 'cubic-bezier(.2,.8,.2,1)' } // --duration-2 / --ease-standard
+    );
+  });
+}
+
+// Hash keys owned by the gallery; other modules (e.g. lightbox #view=) keep their own
+const HASH_KEYS = ['filter', 'category', 'tags', 'match', 'q', 'sort', 'page'];
+
+/**
+ * Gallery - one interactive gallery, scoped to its root (e.g. <section data-gallery>)
+ * Controls are looked up inside the root, so several galleries can share a page.
+ * The lightbox group comes from data-gallery-group or the cards' [data-lightbox="group"] triggers.
+ * Hash params are namespaced with data-gallery-hash-prefix when more than one gallery syncs the hash.
+ */
+export class Gallery {
+  /**
+   * @param {Element} root
+   * @param {{ projects?: object[], manifestUrl?: string, imageManifestUrl?: string, hashPrefix?: string, group?: string }} [options]
+   */
+  constructor(root, options = {}) {
+    this.root = root;
+    this.options = options;
+    this.cleanups = [];
+    this.destroyed = false;
+
+    this.state = {
+      items: [],
+      projects: null,
+      // Facet query: one category plus any number of tags combined with AND ('all') or OR ('any'),
+      // narrowed by free-text search
+      query: { category: 'all', tags: [], match: 'any', search: '' },
+      sort: 'featured',
+      hashKey: '',
+      page: 1,
+      pageSize: 12
+    };
+
+    this.refs = {
+      grid: null,
+      filters: null,
+      tagFilters: null,
+      tagList: null,
+      tagMode: null,
+      countNode: null,
+      search: null,
+      searchInput: null,
+      empty: null,
+      sort: null,
+      sortSelect: null,
+      template: null,
+      loadMore: null
+    };
+
+    this.initRefs();
+    this.hashPrefix = options.hashPrefix ?? root.getAttribute('data-gallery-hash-prefix') ?? '';
+    this.group = options.group
+      || root.getAttribute('data-gallery-group')
+      || this.refs.grid?.querySelector('[data-lightbox]')?.getAttribute('data-lightbox')
+      || '';
+
+    /** @type {Promise<Gallery>} resolves once the manifest (if any) has rendered */
+    this.ready = Promise.resolve(this);
+    if (!this.refs.grid) return; // Progressive enhancement guard
+
+    this.updateInitialState();
+    this.initFilters();
+    this.initSearch();
+    this.initSort();
+    this.initLoadMore();
+    this.initLightboxBindings();
+    this.observeHashChanges();
 
-  // Keyboard open via Enter when card is focused (if card itself is interactive)
-  delegate(refs.grid, 'keydown', '[data-gallery-item]', (e, card) => {
-    if (e.key === 'Enter') {
-      const index = state.items.indexOf(card);
-      if (index >= 0) {
+    // Static cards stay interactive while the manifest loads; delegated handlers cover re-rendered cards
+    this.ready = loadManifest(this.refs.grid, options).then((projects) => {
+      if (projects && !this.destroyed) this.renderProjects(projects);
+      return this;
+    });
+  }
+
+  initRefs() {
+    const { root, refs } = this;
+    refs.grid = root.matches('[data-gallery-grid]') ? root : root.querySelector('[data-gallery-grid]');
+    refs.filters = root.querySelector('[data-gallery-filters], [data-filters]');
+    refs.tagFilters = root.querySelector('[data-tag-filters]');
+    refs.tagList = refs.tagFilters?.querySelector('[data-tag-list]') || refs.tagFilters;
+    refs.tagMode = refs.tagFilters?.querySelector('[data-tag-mode]') || null;
+    refs.countNode = root.querySelector('[data-gallery-count]');
+    refs.search = root.querySelector('[data-gallery-search]');
+    refs.searchInput = refs.search?.querySelector('input') || null;
+    refs.empty = root.querySelector('[data-gallery-empty]');
+    refs.sort = root.querySelector('[data-gallery-sort]');
+    refs.sortSelect = refs.sort?.querySelector('select') || null;
+    refs.template = root.querySelector('template[data-gallery-template]');
+    refs.loadMore = root.querySelector('[data-load-more]');
+
+    // Optional per-page override, e.g. <ul data-gallery-grid data-page-size="6">
+    const size = parseInt(refs.grid?.getAttribute('data-page-size') || '', 10);
+    if (size > 0) this.state.pageSize = size;
+  }
+
+  /**
+   * listen - on() that records its cleanup for destroy()
+   */
+  listen(target, type, handler, options) {
+    this.cleanups.push(on(target, type, handler, options));
+  }
+
+  /**
+   * delegate - delegate() that records its cleanup for destroy()
+   */
+  delegate(root, type, selector, handler, options) {
+    this.cleanups.push(delegate(root, type, selector, handler, options));
+  }
+
+  /**
+   * emit - dispatch a gallery event on the grid; detail always carries the lightbox group
+   */
+  emit(type, detail = {}) {
+    this.refs.grid?.dispatchEvent(new CustomEvent(type, { bubbles: true, detail: { ...detail, group: this.group, gallery: this } }));
+  }
+
+  hydrateItems() {
+    if (!this.refs.grid) return;
+    // Same item selectors as lightbox.js so both modules index cards identically
+    this.state.items = qsa(this.refs.grid, '[data-gallery-item], .gallery__item');
+    // Source order is the tie-breaker that keeps every sort stable
+    this.state.items.forEach((item, i) => sourceOrder.set(item, i));
+  }
+
+  /**
+   * renderProjects - replace the static (no-JS fallback) cards with manifest-driven ones
+   * Dispatches `gallery:render` on the grid, then `gallery:change` via the hash re-apply.
+   * @param {object[]} projects
+   */
+  renderProjects(projects) {
+    const { refs, state } = this;
+    if (!refs.grid || !refs.template || !Array.isArray(projects)) return;
+    const frag = document.createDocumentFragment();
+    projects.forEach((project, i) => {
+      const card = renderCard(refs.template, project, i);
+      if (card) frag.appendChild(card);
+    });
+    state.projects = projects;
+    refs.grid.replaceChildren(frag);
+    this.hydrateItems();
+    this.renderTagChips();
+    // Re-read the hash so a deep-linked page beyond the static fallback count survives the render
+    this.applyFromHash();
+    this.emit('gallery:render', { items: state.items.slice() });
+  }
+
+  /**
+   * renderTagChips - build toggle chips for every tag present on the items
+   * Chips are rebuilt only when the item set changes; counts/pressed states update in syncTagChips.
+   */
+  renderTagChips() {
+    const { refs, state } = this;
+    if (!refs.tagList) return;
+    const all = Array.from(new Set(state.items.flatMap(getItemTags))).sort();
+    const frag = document.createDocumentFragment();
+    all.forEach(tag => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'btn btn-ghost chip';
+      btn.setAttribute('data-tag', tag);
+      btn.setAttribute('aria-pressed', 'false');
+      const label = document.createElement('span');
+      label.textContent = tag;
+      const count = document.createElement('span');
+      count.className = 'chip__count';
+      count.setAttribute('data-tag-count', '');
+      btn.append(label, ' ', count);
+      frag.appendChild(btn);
+    });
+    qsa(refs.tagList, '[data-tag]').forEach(el => el.remove());
+    refs.tagList.appendChild(frag);
+    // The group ships hidden so the no-JS page has no dead controls
+    if (refs.tagFilters) refs.tagFilters.hidden = !all.length;
+  }
+
+  /**
+   * syncTagChips - per-tag counts within the active category, plus pressed states
+   */
+  syncTagChips() {
+    const { refs, state } = this;
+    if (!refs.tagFilters) return;
+    const inCategory = state.items.filter(item => matchCategory(item, state.query.category));
+    qsa(refs.tagList, '[data-tag]').forEach(btn => {
+      const tag = btn.getAttribute('data-tag');
+      const n = inCategory.filter(item => getItemTags(item).includes(tag)).length;
+      const count = qs(btn, '[data-tag-count]');
+      if (count) count.textContent = `(${n})`;
+      togglePressed(btn, state.query.tags.includes(tag));
+    });
+    if (refs.tagMode) togglePressed(refs.tagMode, state.query.match === 'all');
+  }
+
+  /**
+   * applyFilter - apply a facet query; toggles visibility attributes only (CSS controls animation)
+   * Accepts a partial query ({ category, tags, match, search }) or a category string.
+   */
+  applyFilter(query = {}, announce = true) {
+    const { refs, state } = this;
+    state.query = normalizeQuery(query);
+
+    // Update pressed states for category buttons
+    if (refs.filters) {
+      const buttons = qsa(refs.filters, '[data-filter]');
+      buttons.forEach(btn => {
+        const v = (btn.getAttribute('data-filter') || 'all').toLowerCase();
+        togglePressed(btn, v === state.query.category);
+      });
+    }
+    this.syncTagChips();
+    if (refs.searchInput && refs.searchInput.value.trim() !== state.query.search) {
+      refs.searchInput.value = state.query.search;
+    }
+
+    const { shown, total } = this.updateVisibility();
+
+    // Update count node and announce the number of matches (pagination may show fewer)
+    if (refs.countNode) {
+      refs.countNode.textContent = String(shown);
+    }
+    if (announce) {
+      const desc = describeQuery(state.query);
+      liveRegion(shown < total
+        ? `${total} items ${desc ? `${desc} ` : ''}found, ${shown} shown`
+        : `${total} items ${desc ? `${desc} ` : ''}shown`, 'polite');
+    }
+  }
+
+  /**
+   * updateQuery - merge a change into the current query, reset paging, and push to the hash
+   */
+  updateQuery(change, { replace = false } = {}) {
+    this.state.page = 1;
+    this.applyFilter({ ...this.state.query, ...change });
+    this.pushStateToHash({ replace });
+  }
+
+  /**
+   * updateVisibility - hide items outside the active filter or beyond the current page
+   * Page counts are computed over matching items only; the page is clamped to what exists.
+   * @returns {{ matches: HTMLElement[], shown: number, total: number }}
+   */
+  updateVisibility() {
+    const { refs, state } = this;
+    const matches = state.items.filter(item => matchFilter(item, state.query));
+    const pageCount = Math.max(1, Math.ceil(matches.length / state.pageSize));
+    state.page = clamp(state.page, 1, pageCount);
+    const limit = state.page * state.pageSize;
+
+    // Show/hide items by attribute to leverage CSS tokens
+    state.items.forEach(item => item.toggleAttribute('data-hidden', true));
+    matches.forEach((item, i) => item.toggleAttribute('data-hidden', i >= limit));
+    const terms = searchTerms(state.query.search);
+    state.items.forEach(item => highlightTitle(item, terms));
+
+    if (refs.loadMore) refs.loadMore.hidden = limit >= matches.length;
+    if (refs.empty) refs.empty.hidden = matches.length > 0;
+
+    // Visible sequence (filter + search + sort + page) for dependants such as the lightbox
+    const visible = matches.slice(0, limit);
+    this.emit('gallery:change', { items: visible, total: matches.length, query: { ...state.query }, sort: state.sort, page: state.page });
+    return { matches, shown: Math.min(limit, matches.length), total: matches.length };
+  }
+
+  /**
+   * applySort - reorder item nodes and keep data-index in visual order
+   * The lightbox follows through the gallery:change event emitted by updateVisibility.
+   * @param {'featured'|'newest'|'oldest'|'title'} mode
+   * @param {{ animate?: boolean }} [options]
+   */
+  applySort(mode = 'featured', { animate = true } = {}) {
+    const { refs, state } = this;
+    state.sort = SORTS[mode] ? mode : 'featured';
+    if (refs.sortSelect) refs.sortSelect.value = state.sort;
+    if (!refs.grid || !state.items.length) return;
+
+    const compare = SORTS[state.sort];
+    const sorted = state.items.slice().sort((a, b) => compare(a, b) || sourceOrder.get(a) - sourceOrder.get(b));
+    if (sorted.every((item, i) => item === state.items[i])) return;
+
+    const flip = animate && !prefersReducedMotion();
+    const first = new Map();
+    if (flip) state.items.forEach(item => first.set(item, item.getBoundingClientRect()));
+
+    const frag = document.createDocumentFragment();
+    sorted.forEach((item, i) => {
+      qsa(item, '[data-index]').forEach(el => el.setAttribute('data-index', String(i)));
+      frag.appendChild(item);
+    });
+    refs.grid.appendChild(frag);
+    state.items = sorted;
+
+    this.updateVisibility();
+    if (flip) animateReorder(first);
+  }
+
+  /**
+   * loadMore - reveal the next page of matching items
+   * Announces progress and moves focus to the first newly revealed card.
+   */
+  loadMore() {
+    const { refs, state } = this;
+    // Cards shown before this page; read from the DOM so gallery:change fires once per click
+    const before = state.items.filter(item => !item.hasAttribute('data-hidden')).length;
+    state.page += 1;
+    const { matches, shown, total } = this.updateVisibility();
+    if (refs.countNode) refs.countNode.textContent = String(shown);
+    this.pushStateToHash();
+    liveRegion(`Showing ${shown} of ${total} projects`, 'polite');
+
+    const firstNew = matches[before];
+    if (firstNew && shown > before) {
+      const target = qs(firstNew, 'a[href], button:not([disabled])') || firstNew;
+      if (target === firstNew && !firstNew.hasAttribute('tabindex')) firstNew.setAttribute('tabindex', '-1');
+      target.focus();
+    }
+  }
+
+  /**
+   * hashParam - read one of this gallery's (prefixed) hash params
+   */
+  hashParam(key) {
+    return getHashParam(`${this.hashPrefix}${key}`);
+  }
+
+  /**
+   * galleryHashKey - snapshot of only this gallery's hash params, used to ignore foreign hash changes
+   */
+  galleryHashKey() {
+    return HASH_KEYS.map(k => `${k}=${this.hashParam(k) ?? ''}`).join('&');
+  }
+
+  /**
+   * Sync query, sort and page to/from URL hash (#category=web&tags=react,figma&match=all&q=alpha&sort=newest&page=2)
+   * Legacy #filter= links are read as a category.
+   */
+  applyFromHash() {
+    const { state } = this;
+    state.hashKey = this.galleryHashKey();
+    const p = parseInt(this.hashParam('page') || '1', 10);
+    state.page = p > 0 ? p : 1;
+    this.applySort(this.hashParam('sort') || 'featured', { animate: false });
+    this.applyFilter({
+      category: this.hashParam('category') || this.hashParam('filter') || 'all',
+      tags: this.hashParam('tags') || '',
+      match: this.hashParam('match') || 'any',
+      search: this.hashParam('q') || ''
+    }, false);
+  }
+
+  pushStateToHash({ replace = false } = {}) {
+    const { state } = this;
+    const { category, tags, match, search } = state.query;
+    const values = {
+      filter: null,
+      category: category === 'all' ? null : category,
+      tags: tags.length ? tags.join(',') : null,
+      match: match === 'all' ? 'all' : null,
+      q: search || null,
+      sort: state.sort === 'featured' ? null : state.sort,
+      page: state.page > 1 ? state.page : null
+    };
+    setHashParams(Object.fromEntries(Object.entries(values).map(([k, v]) => [`${this.hashPrefix}${k}`, v])), { replace });
+    state.hashKey = this.galleryHashKey();
+  }
+
+  /**
+   * initFilters - click/keyboard operable category buttons, tag chips and AND/OR toggle
+   * Buttons are native, so Enter/Space already produce click events.
+   */
+  initFilters() {
+    const { refs, state } = this;
+    // Use event delegation for robustness
+    if (refs.filters) {
+      this.delegate(refs.filters, 'click', '[data-filter]', (e, btn) => {
+        this.updateQuery({ category: btn.getAttribute('data-filter') || 'all' });
+      });
+    }
+
+    if (refs.tagFilters) {
+      this.delegate(refs.tagFilters, 'click', '[data-tag]', (e, btn) => {
+        const tag = btn.getAttribute('data-tag');
+        const tags = state.query.tags.includes(tag)
+          ? state.query.tags.filter(t => t !== tag)
+          : [...state.query.tags, tag];
+        this.updateQuery({ tags });
+      });
+      this.delegate(refs.tagFilters, 'click', '[data-tag-mode]', () => {
+        this.updateQuery({ match: state.query.match === 'all' ? 'any' : 'all' });
+      });
+    }
+  }
+
+  /**
+   * initSearch - debounced text search; typing replaces the history entry instead of stacking one per keystroke
+   */
+  initSearch() {
+    const { refs } = this;
+    if (!refs.search || !refs.searchInput) return;
+    refs.search.hidden = false; // ships hidden for the no-JS page
+    const run = debounce(() => {
+      if (this.destroyed) return;
+      const search = refs.searchInput.value.trim();
+      if (search !== this.state.query.search) this.updateQuery({ search }, { replace: true });
+    }, 250);
+    this.listen(refs.searchInput, 'input', run);
+    // Submitting (Enter) should not reload the page
+    const form = refs.searchInput.form;
+    if (form) {
+      this.listen(form, 'submit', (e) => {
         e.preventDefault();
-        const ev = new CustomEvent('lightbox:open', { bubbles: true, detail: { index } });
-        card.dispatchEvent(ev);
-      }
+        this.updateQuery({ search: refs.searchInput.value.trim() }, { replace: true });
+      }, false);
     }
-  }, false);
+  }
+
+  /**
+   * initSort - sort select; page position is kept since the matching set does not change
+   */
+  initSort() {
+    const { refs } = this;
+    if (!refs.sort || !refs.sortSelect) return;
+    refs.sort.hidden = false; // ships hidden for the no-JS page
+    this.listen(refs.sortSelect, 'change', () => {
+      this.applySort(refs.sortSelect.value);
+      this.pushStateToHash();
+      liveRegion(`Sorted by ${SORT_LABELS[this.state.sort]}`, 'polite');
+    }, false);
+  }
+
+  /**
+   * initLoadMore - paginated reveal via the [data-load-more] button
+   */
+  initLoadMore() {
+    if (!this.refs.loadMore) return;
+    this.listen(this.refs.loadMore, 'click', (e) => {
+      e.preventDefault();
+      this.loadMore();
+    }, false);
+  }
+
+  /**
+   * openLightbox - dispatch lightbox:open with the card's position among visible items
+   * Actual lightbox implementation resides in lightbox.js; `item` lets it resolve the card directly,
+   * `items` is this gallery's visible sequence and `group` routes the event to the matching lightbox.
+   */
+  openLightbox(e, card) {
+    const { state } = this;
+    if (!state.items.includes(card) || card.hasAttribute('data-hidden')) return;
+    const visible = state.items.filter(item => !item.hasAttribute('data-hidden'));
+    e.preventDefault();
+    const ev = new CustomEvent('lightbox:open', { bubbles: true, detail: { index: visible.indexOf(card), item: card, items: visible, group: this.group } });
+    card.dispatchEvent(ev);
+  }
+
+  /**
+   * initLightboxBindings - delegate to open lightbox from gallery cards
+   */
+  initLightboxBindings() {
+    const { refs } = this;
+    this.delegate(refs.grid, 'click', '[data-gallery-item] a, [data-gallery-item] button, [data-gallery-item] [data-lightbox-trigger]', (e, target) => {
+      const card = target.closest('[data-gallery-item]');
+      if (card) this.openLightbox(e, card);
+    }, false);
+
+    // Keyboard open via Enter when card is focused (if card itself is interactive)
+    this.delegate(refs.grid, 'keydown', '[data-gallery-item]', (e, card) => {
+      if (e.key === 'Enter') this.openLightbox(e, card);
+    }, false);
+  }
+
+  /**
+   * updateInitialState - hydrate, set initial filter from hash or defaults
+   */
+  updateInitialState() {
+    this.hydrateItems();
+    this.renderTagChips();
+    this.applyFromHash();
+  }
+
+  /**
+   * observeHashChanges - keep UI in sync with back/forward
+   */
+  observeHashChanges() {
+    this.listen(window, 'hashchange', () => {
+      // Ignore changes to params this gallery does not own (lightbox #view=, other galleries)
+      if (this.galleryHashKey() === this.state.hashKey) return;
+      this.applyFromHash();
+    }, false);
+  }
+
+  /**
+   * destroy - remove every listener this instance added; the DOM is left as-is
+   */
+  destroy() {
+    this.destroyed = true;
+    this.cleanups.splice(0).forEach(fn => fn());
+    instances.delete(this.root);
+  }
 }
 
+/** @type {Map<Element, Gallery>} */
+const instances = new Map();
+
 /**
- * updateInitialState - hydrate, set initial filter from hash or defaults
+ * defaultGallery - the first initialised gallery, target of the module-level helpers below
  */
-function updateInitialState() {
-  hydrateItems();
-  applyFromHash();
+function defaultGallery() {
+  return instances.values().next().value || null;
 }
 
 /**
- * observeHashChanges - keep UI in sync with back/forward
+ * Module-level helpers kept for existing callers; they act on the default (first) gallery.
  */
-function observeHashChanges() {
-  on(window, 'hashchange', () => {
-    applyFromHash();
-  }, false);
+export function renderProjects(projects) {
+  defaultGallery()?.renderProjects(projects);
+}
+export function applyFilter(query = {}, announce = true) {
+  defaultGallery()?.applyFilter(query, announce);
+}
+export function applySort(mode = 'featured', options = {}) {
+  defaultGallery()?.applySort(mode, options);
+}
+export function loadMore() {
+  defaultGallery()?.loadMore();
 }
 
-export function initGallery() {
-  initRefs();
-  if (!refs.grid) return; // Progressive enhancement guard
-
-  updateInitialState();
-  initFilters();
-  initLightboxBindings();
-  observeHashChanges();
+/**
+ * initGallery - create a Gallery for every [data-gallery] root (or the grid's parent when absent)
+ * The first gallery syncs unprefixed hash params; later ones default to a `${group}-` prefix.
+ * Resolves once every manifest has rendered.
+ * @param {{ projects?: object[], manifestUrl?: string, imageManifestUrl?: string }} [options]
+ * @returns {Promise<Gallery[]>}
+ */
+export async function initGallery(options = {}) {
+  const roots = qsa(document, '[data-gallery]');
+  if (!roots.length) {
+    const grid = document.querySelector('[data-gallery-grid]');
+    if (grid) roots.push(grid.parentElement || grid);
+  }
+  const galleries = roots.map((root, i) => {
+    if (instances.has(root)) return instances.get(root);
+    const fallbackPrefix = i === 0 ? '' : `${root.getAttribute('data-gallery-group') || i}-`;
+    const gallery = new Gallery(root, { hashPrefix: root.getAttribute('data-gallery-hash-prefix') ?? fallbackPrefix, ...options });
+    instances.set(root, gallery);
+    return gallery;
+  });
+  return Promise.all(galleries.map(g => g.ready));
 }
 
 // Auto-init on DOM ready
-on(document, 'DOMContentLoaded', initGallery, { passive: true });
+on(document, 'DOMContentLoaded', () => { initGallery(); }, { passive: true });
@@ -1,198 +1,1594 @@
 // lightbox.js - accessible lightbox controller (ESM)
 // Docs: see docs/lightbox-component.md and docs/lightbox-smoke-checklist.md for selector and behavior references
 
-import { on, qsa, getTabbables, trapFocus, nextIndex, prevIndex, liveRegion } from './utils.js';
-import { rememberFocus, restoreFocus, announce } from './a11y.js';
-
-let refs = {
-  root: null,
-  dialog: null,
-  closeBtn: null,
-  img: null,
-  caption: null,
-  counter: null,
-  prevBtn: null,
-  nextBtn: null,
-  backdrop: null
+import { on, qsa, getTabbables, trapFocus, nextIndex, prevIndex, liveRegion, clamp, getHashParam, setHashParams } from './utils.js';
+import { rememberFocus, restoreFocus, announce, prefersReducedMotion } from './a11y.js';
+
+// Touch/pointer gesture tuning
+const GESTURE = {
+  tapSlop: 10, // px of movement before a press counts as a drag
+  swipeDistance: 50, // px horizontal travel to change image
+  swipeVelocity: 0.4, // px/ms flick speed that changes image below swipeDistance
+  closeDistance: 90, // px downward travel to close
+  doubleTapMs: 300,
+  doubleTapSlop: 24,
+  doubleTapScale: 2.5,
+  zoomStep: 1.5,
+  maxScale: 4
 };
 
-let state = {
-  items: [],
-  index: 0,
-  releaseFocusFn: null
+// Slideshow timing; data-lightbox-interval on the root overrides the default
+const SLIDESHOW = {
+  interval: 5000, // ms per slide
+  minInterval: 2000
 };
 
-function initRefs(rootSelector = '[data-lightbox], [data-lightbox-root]') {
-  // Support either [data-lightbox] (JS expectation) or [data-lightbox-root] (current HTML) — keep in sync with docs/lightbox-component.md
-  refs.root = document.querySelector(rootSelector);
-  if (!refs.root) return false;
-  refs.dialog = refs.root.querySelector('[data-lightbox-dialog], [data-js="lightbox-dialog"]'); // dialog container
-  refs.closeBtn = refs.root.querySelector('[data-lightbox-close], [data-close]'); // close button selector
-  refs.img = refs.root.querySelector('[data-lightbox-image]'); // active image target
-  refs.caption = refs.root.querySelector('[data-lightbox-caption]'); // caption region
-  refs.counter = refs.root.querySelector('[data-lightbox-counter]'); // pagination text
-  refs.prevBtn = refs.root.querySelector('[data-lightbox-prev], [data-prev]'); // previous control
-  refs.nextBtn = refs.root.querySelector('[data-lightbox-next], [data-next]'); // next control
-  refs.backdrop = refs.root.querySelector('.lightbox__backdrop, [data-backdrop]'); // backdrop element
-  return true;
-}
-
-function hydrateItems() {
-  // Collect gallery items from the main grid — selectors must match docs/lightbox-component.md "Recommended markup"
-  const grid = document.querySelector('[data-gallery-grid]'); // gallery grid container
-  state.items = grid ? qsa(grid, '[data-gallery-item], .gallery__item') : []; // individual cards
-}
-
-function setAriaHiddenForBackground(hidden) {
-  // Hide main content from AT while dialog is open — see A11y notes in docs/lightbox-component.md
-  const main = document.querySelector('main');
-  if (main) main.setAttribute('aria-hidden', hidden ? 'true' : 'false');
-}
-
-function updateUI() {
-  const card = state.items[state.index];
-  if (!card) return;
+// Hash key for the open item (#view=project-alpha); gallery.js owns its own keys
+const VIEW_PARAM = 'view';
+
+/**
+ * getItemId - stable id for deep links: data-id, element id, or a slug of the card title
+ * @param {Element} [card]
+ * @returns {string}
+ */
+function getItemId(card) {
+  if (!card) return '';
+  const explicit = card.getAttribute('data-id') || card.id;
+  if (explicit) return explicit;
+  const title = card.querySelector('.card__title')?.textContent || card.getAttribute('data-caption') || '';
+  return title.trim().toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '');
+}
+
+// Lightbox image slot width, used when an item gives a srcset without data-full-sizes
+const DEFAULT_SIZES = '(min-width: 80rem) 80rem, 90vw';
+
+// Slide types an item can declare with data-type; anything else is an image
+const MEDIA_TYPES = ['image', 'video', 'iframe', 'html'];
+const TYPE_LABELS = { image: 'Image', video: 'Video', iframe: 'Embed', html: 'Slide' };
+const ERROR_MESSAGES = {
+  image: 'The full-size image could not be loaded. Showing the thumbnail instead.',
+  video: 'The video could not be loaded.',
+  iframe: 'The embedded content could not be loaded.',
+  html: 'This slide could not be displayed.'
+};
+// Iframe slides run scripts (local prototypes) but get no same-origin access, forms, popups or top navigation unless data-sandbox says so
+const DEFAULT_SANDBOX = 'allow-scripts';
+
+/**
+ * getItemType - the item's data-type, defaulting to 'image'
+ * @param {Element} card
+ * @returns {'image'|'video'|'iframe'|'html'}
+ */
+function getItemType(card) {
+  const type = (card?.getAttribute('data-type') || '').toLowerCase();
+  return MEDIA_TYPES.includes(type) ? /** @type {any} */ (type) : 'image';
+}
+
+/**
+ * getCaption - data-caption on the item, else its .card__caption text
+ */
+function getCaption(card) {
+  return card.getAttribute('data-caption') || card.querySelector('.card__caption')?.textContent || '';
+}
+
+/**
+ * readItemAttr - attribute from the item, falling back to its thumbnail img
+ */
+function readItemAttr(card, name) {
+  return card.getAttribute(name) || card.querySelector('img')?.getAttribute(name) || '';
+}
+
+/**
+ * resolveSources - full-size image candidates for an item (see docs "Image update sources")
+ * src: data-full → img[data-full] → link href → thumbnail src
+ * srcset/sizes: data-full-srcset, data-full-sizes; formats: data-full-avif, data-full-webp (srcset syntax)
+ * intrinsic size: data-full-width, data-full-height
+ */
+function resolveSources(card) {
   const imgEl = card.querySelector('img');
-  const src = card.getAttribute('data-full') || imgEl?.getAttribute('data-full') || imgEl?.getAttribute('src') || card.querySelector('a')?.getAttribute('href');
-  const alt = imgEl?.getAttribute('alt') || '';
-  const caption = card.getAttribute('data-caption') || card.querySelector('.card__caption')?.textContent || '';
+  const srcset = readItemAttr(card, 'data-full-srcset');
+  const avif = readItemAttr(card, 'data-full-avif');
+  const webp = readItemAttr(card, 'data-full-webp');
+  const width = parseInt(readItemAttr(card, 'data-full-width'), 10);
+  const height = parseInt(readItemAttr(card, 'data-full-height'), 10);
+  return {
+    src: readItemAttr(card, 'data-full') || card.querySelector('a[href]')?.getAttribute('href') || imgEl?.getAttribute('src') || '',
+    srcset,
+    sizes: readItemAttr(card, 'data-full-sizes') || (srcset || avif || webp ? DEFAULT_SIZES : ''),
+    avif,
+    webp,
+    width: width > 0 ? width : 0,
+    height: height > 0 ? height : 0
+  };
+}
 
-  if (refs.img && src) {
-    refs.img.src = src;
-    refs.img.alt = alt;
-  }
-  if (refs.caption) {
-    refs.caption.textContent = caption;
-  }
-  if (refs.counter) {
-    refs.counter.textContent = `${state.index + 1} / ${state.items.length}`;
-  }
-  // Announce the change for AT
-  announce(`Image ${state.index + 1} of ${state.items.length}${caption ? `, ${caption}` : ''}`, 'polite');
+function setOrRemove(el, name, value) {
+  if (!el) return;
+  if (value) el.setAttribute(name, String(value));
+  else el.removeAttribute(name);
 }
 
-function preloadNeighbors() {
-  // Preload adjacent images to reduce navigation latency
-  if (!state.items.length) return;
-  const next = state.items[nextIndex(state.index, state.items.length)];
-  const prev = state.items[prevIndex(state.index, state.items.length)];
-  [next, prev].forEach((card) => {
-    const preloadSrc = card?.getAttribute('data-full') || card?.querySelector('img')?.getAttribute('data-full') || card?.querySelector('a')?.getAttribute('href'); // keep attr names synced with docs
-    if (preloadSrc) {
-      const img = new Image();
-      img.src = preloadSrc;
+/**
+ * waitForImage - resolves once the current candidate is loaded and decoded
+ * img.decode() where available; load/error events otherwise.
+ */
+function waitForImage(img) {
+  if (typeof img.decode === 'function') return img.decode();
+  return new Promise((resolve, reject) => {
+    if (img.complete && img.naturalWidth) {
+      resolve();
+      return;
     }
+    img.addEventListener('load', () => resolve(), { once: true });
+    img.addEventListener('error', () => reject(new Error('Image failed to load')), { once: true });
   });
 }
 
-function open(index = 0) {
-  if (!refs.root) return;
-  if (!state.items.length) hydrateItems();
-  if (!state.items.length) return;
-
-  rememberFocus();
-  state.index = index;
+/**
+ * findTemplate - the <template> matching a selector attribute, or null (missing or invalid selector)
+ * @param {string|null} selector
+ * @returns {HTMLTemplateElement|null}
+ */
+function findTemplate(selector) {
+  if (!selector) return null;
+  try {
+    const node = document.querySelector(selector);
+    return node instanceof HTMLTemplateElement ? node : null;
+  } catch {
+    return null;
+  }
+}
 
-  refs.root.removeAttribute('hidden'); // ensure lightbox root visible
-  refs.root.setAttribute('data-open', 'true'); // matches docs "open state"
-  refs.root.setAttribute('aria-modal', 'true'); // modal semantics
-  refs.dialog?.setAttribute('role', 'dialog'); // role on dialog node
+/**
+ * safeUrl - http(s) or same-document-relative URL from an attribute, else '' (drops javascript:, data:, …)
+ * @param {string|null} value
+ * @returns {string}
+ */
+function safeUrl(value) {
+  if (!value) return '';
+  try {
+    const url = new URL(value, document.baseURI);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : '';
+  } catch {
+    return '';
+  }
+}
 
-  updateUI();
-  preloadNeighbors();
+/**
+ * getItemInfo - info panel content for an item, read as text only
+ * title: .card__title; meta: .card__meta; tags: data-tags;
+ * description: <template> named by data-info-template (author markup), else data-description (plain text);
+ * links: data-demo-url, data-repo-url
+ */
+function getItemInfo(card) {
+  return {
+    title: card.querySelector('.card__title')?.textContent.trim() || getCaption(card),
+    meta: card.querySelector('.card__meta')?.textContent.trim() || '',
+    tags: (card.getAttribute('data-tags') || '').split(/[,\s]+/).filter(Boolean),
+    template: findTemplate(card.getAttribute('data-info-template')),
+    description: card.getAttribute('data-description') || '',
+    links: [
+      ['Live demo', safeUrl(card.getAttribute('data-demo-url'))],
+      ['Source code', safeUrl(card.getAttribute('data-repo-url'))]
+    ].filter(([, href]) => href)
+  };
+}
 
-  setAriaHiddenForBackground(true);
-  // trap focus inside dialog — see focus trapping guidance in docs/lightbox-component.md
-  state.releaseFocusFn = trapFocus(refs.dialog || refs.root, refs.closeBtn || refs.dialog);
+/**
+ * createEmbed - build the node for a video, iframe or html slide
+ * video: data-full or link href, poster from data-poster or the thumbnail, optional data-captions (WebVTT)
+ * iframe: data-full or link href, sandboxed with data-sandbox (default "allow-scripts")
+ * html: a clone of the <template> named by data-template (a selector, e.g. "#case-study-alpha")
+ * @param {Element} card
+ * @param {'video'|'iframe'|'html'} type
+ * @param {string} label accessible name for iframes and html slides
+ * @returns {HTMLElement|null} null when the item has no usable source
+ */
+function createEmbed(card, type, label) {
+  const src = readItemAttr(card, 'data-full') || card.querySelector('a[href]')?.getAttribute('href') || '';
+  if (type === 'video') {
+    if (!src) return null;
+    const video = document.createElement('video');
+    video.controls = true;
+    video.playsInline = true;
+    video.preload = 'metadata';
+    setOrRemove(video, 'poster', card.getAttribute('data-poster') || card.querySelector('img')?.getAttribute('src'));
+    const captions = card.getAttribute('data-captions');
+    if (captions) {
+      const track = document.createElement('track');
+      track.kind = 'captions';
+      track.src = captions;
+      track.srclang = card.getAttribute('data-captions-lang') || document.documentElement.lang || 'en';
+      track.label = 'Captions';
+      track.default = true;
+      video.appendChild(track);
+    }
+    video.src = src;
+    return video;
+  }
+  if (type === 'iframe') {
+    if (!src || src === '#') return null;
+    const iframe = document.createElement('iframe');
+    iframe.setAttribute('sandbox', card.getAttribute('data-sandbox') ?? DEFAULT_SANDBOX);
+    iframe.setAttribute('allowfullscreen', '');
+    iframe.referrerPolicy = 'no-referrer';
+    iframe.title = label || 'Embedded content';
+    iframe.src = src;
+    return iframe;
+  }
+  const template = findTemplate(card.getAttribute('data-template'));
+  if (!template) return null;
+  const slide = document.createElement('div');
+  slide.className = 'lightbox__slide';
+  slide.setAttribute('role', 'group');
+  slide.setAttribute('aria-label', label || 'Slide');
+  slide.tabIndex = 0; // long slides scroll, so keyboard users need a stop here
+  slide.appendChild(template.content.cloneNode(true));
+  return slide;
+}
 
-  // Announce opening
-  announce('Image viewer opened', 'polite');
+/**
+ * waitForEmbed - resolves once a video has its first frame or an iframe has loaded
+ * Iframes report no HTTP errors, so a failing embed shows its own error page.
+ */
+function waitForEmbed(node) {
+  return new Promise((resolve, reject) => {
+    if (node instanceof HTMLVideoElement) {
+      if (node.readyState >= 2) {
+        resolve();
+        return;
+      }
+      node.addEventListener('loadeddata', () => resolve(), { once: true });
+      node.addEventListener('error', () => reject(new Error('Video failed to load')), { once: true });
+      return;
+    }
+    if (node.tagName === 'IFRAME') {
+      node.addEventListener('load', () => resolve(), { once: true });
+      return;
+    }
+    resolve();
+  });
 }
 
-function close() {
-  if (!refs.root) return;
-  refs.root.setAttribute('hidden', '');
-  refs.root.removeAttribute('data-open');
-  refs.root.removeAttribute('aria-modal');
-  setAriaHiddenForBackground(false);
-  if (state.releaseFocusFn) state.releaseFocusFn();
-  state.releaseFocusFn = null;
-  restoreFocus();
-  announce('Image viewer closed', 'polite');
+/**
+ * preloadCard - warm the cache with the candidate the lightbox <img> will pick
+ * A detached <picture> with the same sources and sizes runs the same selection (format + width)
+ * as the visible one, so the preload is not wasted on a different file.
+ */
+function preloadCard(card) {
+  const sources = resolveSources(card);
+  if (!sources.src) return;
+  const picture = document.createElement('picture');
+  [['image/avif', sources.avif], ['image/webp', sources.webp]].forEach(([type, srcset]) => {
+    if (!srcset) return;
+    const source = document.createElement('source');
+    source.type = type;
+    source.srcset = srcset;
+    if (sources.sizes) source.sizes = sources.sizes;
+    picture.appendChild(source);
+  });
+  const img = new Image();
+  picture.appendChild(img);
+  if (sources.sizes) img.sizes = sources.sizes;
+  if (sources.srcset) img.srcset = sources.srcset;
+  img.src = sources.src;
 }
 
-function next() {
-  if (!state.items.length) return;
-  state.index = nextIndex(state.index, state.items.length);
-  updateUI();
-  preloadNeighbors();
+/**
+ * preloadItem - type-aware neighbour preload
+ * Images preload their full candidate; videos only their poster, since the stream starts on demand.
+ * Iframes load when shown and html slides are inline, so neither fetches ahead.
+ */
+function preloadItem(card) {
+  const type = getItemType(card);
+  if (type === 'image') {
+    preloadCard(card);
+  } else if (type === 'video') {
+    const poster = card.getAttribute('data-poster') || card.querySelector('img')?.getAttribute('src');
+    if (poster) new Image().src = poster;
+  }
 }
 
-function prev() {
-  if (!state.items.length) return;
-  state.index = prevIndex(state.index, state.items.length);
-  updateUI();
-  preloadNeighbors();
+/**
+ * itemGroup - lightbox group of a gallery card
+ * data-gallery-group on an enclosing gallery wins; otherwise the trigger's [data-lightbox="group"].
+ * @param {Element} card
+ * @returns {string}
+ */
+function itemGroup(card) {
+  return card.closest('[data-gallery-group]')?.getAttribute('data-gallery-group')
+    || card.querySelector('[data-lightbox]')?.getAttribute('data-lightbox')
+    || '';
 }
 
-function onKeydown(e) {
-  if (!refs.root?.hasAttribute('data-open')) return;
-  switch (e.key) {
-    case 'Escape':
-      e.preventDefault();
-      close();
-      break;
-    case 'ArrowRight':
-      e.preventDefault();
-      next();
-      break;
-    case 'ArrowLeft':
-      e.preventDefault();
-      prev();
-      break;
+/** @type {Map<Element, Lightbox>} */
+const instances = new Map();
+
+/** @type {Set<(lightbox: Lightbox) => (void | (() => void))>} */
+const plugins = new Set();
+
+/**
+ * Lightbox - one accessible viewer bound to a root element
+ * A lightbox with a group (data-lightbox-group, or the root's own data-lightbox value) only answers
+ * that group's galleries; one without a group serves every group no other lightbox claims.
+ */
+export class Lightbox {
+  /**
+   * @param {Element} root
+   * @param {{ group?: string }} [options]
+   */
+  constructor(root, options = {}) {
+    this.root = root;
+    this.group = options.group ?? root.getAttribute('data-lightbox-group') ?? root.getAttribute('data-lightbox') ?? '';
+    this.cleanups = [];
+
+    this.refs = {
+      root,
+      dialog: null,
+      closeBtn: null,
+      img: null,
+      sources: { avif: null, webp: null },
+      placeholder: null,
+      error: null,
+      errorText: null,
+      retryBtn: null,
+      embed: null,
+      figure: null,
+      caption: null,
+      counter: null,
+      prevBtn: null,
+      nextBtn: null,
+      playBtn: null,
+      progress: null,
+      filmstrip: null,
+      info: null,
+      infoToggle: null,
+      backdrop: null
+    };
+
+    this.state = {
+      items: [],
+      index: 0,
+      type: 'image', // data-type of the current item
+      filmstripItems: null, // items the filmstrip options were built from
+      infoOpen: false, // info panel expanded; kept across items
+      shown: null, // { index, item } last rendered while open; lightbox:change compares against it
+      activeGroup: this.group, // group of the sequence being viewed; differs from `group` on a shared lightbox
+      releaseFocusFn: null,
+      hiddenBackground: [], // [element, previous aria-hidden] pairs restored on close
+      pushedHistory: false, // true when the current #view= entry was pushed by us (Back closes)
+      backPending: '', // hash close() stepped back from while its history.back() has not landed yet
+      loadId: 0, // bumped per image load; stale completions compare against it and bail
+      zoom: { scale: 1, x: 0, y: 0 } // image transform; x/y are pan offsets in px
+    };
+
+    // Autoplay: `playing` is the user's choice; any hold (hover, focus, hidden tab, playing media) freezes the countdown
+    const interval = parseInt(root.getAttribute('data-lightbox-interval') || '', 10);
+    this.slideshow = {
+      playing: false,
+      holds: new Set(),
+      interval: interval > 0 ? Math.max(SLIDESHOW.minInterval, interval) : SLIDESHOW.interval,
+      remaining: 0,
+      startedAt: 0,
+      timer: null
+    };
+
+    // Active pointers and gesture start snapshots
+    this.gesture = {
+      pointers: new Map(),
+      start: null,
+      pinch: null,
+      moved: false,
+      lastTap: null
+    };
+
+    /** @type {Map<Function, () => void>} plugin → cleanup */
+    this.pluginCleanups = new Map();
+
+    this.initRefs();
+    this.bind();
+    instances.set(root, this);
+    plugins.forEach((plugin) => this.applyPlugin(plugin));
   }
-}
 
-function onBackdropClick(e) {
-  // Close when clicking explicit backdrop or root background (outside dialog) — ensure event target matches selectors listed in docs
-  if (e.target === refs.root || e.target === refs.backdrop) {
-    close();
+  /**
+   * Lightbox.use - register a plugin for every current and future lightbox
+   * A plugin is called with each instance and may return a cleanup, run on destroy() or unregister.
+   * @param {(lightbox: Lightbox) => (void | (() => void))} plugin
+   * @returns {() => void} unregister
+   */
+  static use(plugin) {
+    if (typeof plugin !== 'function' || plugins.has(plugin)) return () => {};
+    plugins.add(plugin);
+    instances.forEach((lightbox) => lightbox.applyPlugin(plugin));
+    return () => {
+      plugins.delete(plugin);
+      instances.forEach((lightbox) => lightbox.removePlugin(plugin));
+    };
   }
-}
 
-export function initLightbox(rootSelector) {
-  if (!initRefs(rootSelector)) return;
+  applyPlugin(plugin) {
+    try {
+      const cleanup = plugin(this);
+      this.pluginCleanups.set(plugin, typeof cleanup === 'function' ? cleanup : () => {});
+    } catch (err) {
+      console.warn('[lightbox] Plugin failed to initialise:', err);
+    }
+  }
+
+  removePlugin(plugin) {
+    const cleanup = this.pluginCleanups.get(plugin);
+    this.pluginCleanups.delete(plugin);
+    cleanup?.();
+  }
+
+  /**
+   * on - listen for this instance's lifecycle events ('beforeopen' | 'opened' | 'change' | 'close')
+   * The listener is removed by destroy(); the returned function removes it earlier.
+   * @param {string} type event name without the `lightbox:` prefix
+   * @param {(e: CustomEvent) => void} handler
+   * @returns {() => void}
+   */
+  on(type, handler) {
+    const off = on(this.root, `lightbox:${type}`, handler, false);
+    this.cleanups.push(off);
+    return off;
+  }
+
+  /**
+   * emit - dispatch a lifecycle event on the root; detail always carries the instance and active group
+   * @returns {boolean} false when a cancelable event was cancelled
+   */
+  emit(type, detail = {}, { cancelable = false } = {}) {
+    return this.root.dispatchEvent(new CustomEvent(`lightbox:${type}`, {
+      bubbles: true,
+      cancelable,
+      detail: { ...detail, lightbox: this, group: this.state.activeGroup }
+    }));
+  }
+
+  /**
+   * current - the item being shown and its index in the visible sequence
+   * @returns {{ index: number, item: Element|null }}
+   */
+  current() {
+    return { index: this.state.index, item: this.state.items[this.state.index] || null };
+  }
+
+  initRefs() {
+    const { refs, root } = this;
+    refs.dialog = root.querySelector('[data-lightbox-dialog], [data-js="lightbox-dialog"]'); // dialog container
+    // Prefer the real button: the backdrop may also carry [data-close] and precedes it in the markup
+    refs.closeBtn = root.querySelector('button[data-lightbox-close], button[data-close]') || root.querySelector('[data-lightbox-close], [data-close]'); // close button selector
+    refs.img = root.querySelector('[data-lightbox-image]'); // active image target
+    refs.sources.avif = root.querySelector('source[data-lightbox-source="avif"]'); // optional <picture> sources
+    refs.sources.webp = root.querySelector('source[data-lightbox-source="webp"]');
+    refs.placeholder = root.querySelector('[data-lightbox-placeholder]'); // thumbnail shown while loading / on error
+    refs.error = root.querySelector('[data-lightbox-error]'); // error message + retry
+    refs.errorText = refs.error?.querySelector('p') || null;
+    refs.retryBtn = root.querySelector('[data-lightbox-retry]');
+    refs.embed = root.querySelector('[data-lightbox-embed]'); // container for video / iframe / html slides
+    refs.figure = refs.img?.closest('figure') || refs.img?.parentElement || null; // gesture surface
+    refs.caption = root.querySelector('[data-lightbox-caption]'); // caption region
+    refs.counter = root.querySelector('[data-lightbox-counter]'); // pagination text
+    refs.prevBtn = root.querySelector('[data-lightbox-prev], [data-prev]'); // previous control
+    refs.nextBtn = root.querySelector('[data-lightbox-next], [data-next]'); // next control
+    refs.playBtn = root.querySelector('[data-lightbox-play]'); // slideshow play/pause control
+    refs.progress = root.querySelector('[data-lightbox-progress]'); // slideshow countdown bar
+    refs.filmstrip = root.querySelector('[data-lightbox-filmstrip]'); // optional thumbnail listbox
+    refs.info = root.querySelector('[data-lightbox-info]'); // optional project info panel
+    refs.infoToggle = root.querySelector('[data-lightbox-info-toggle]'); // its disclosure button
+    refs.backdrop = root.querySelector('.lightbox__backdrop, [data-backdrop]'); // backdrop element
+  }
+
+  /**
+   * listen - on() that records its cleanup for destroy()
+   */
+  listen(target, type, handler, options) {
+    this.cleanups.push(on(target, type, handler, options));
+  }
+
+  /**
+   * accepts - whether events for `group` belong to this lightbox
+   * Ungrouped events go to every lightbox; a shared (ungrouped) lightbox skips groups another one claims.
+   */
+  accepts(group) {
+    if (!group) return true;
+    if (this.group) return group === this.group;
+    return !Array.from(instances.values()).some((lb) => lb !== this && lb.group === group);
+  }
 
-  // Respond to custom open events from gallery (dispatched by gallery.js) — event name documented in docs
-  on(document, 'lightbox:open', (e) => {
+  hydrateItems(items) {
+    // Prefer the sequence published by gallery.js (lightbox:open / gallery:change); otherwise derive it from the DOM
+    if (Array.isArray(items)) {
+      this.state.items = items.slice();
+      return;
+    }
+    // Collect visible cards from every grid — selectors must match docs/lightbox-component.md "Recommended markup"
+    const group = this.state.activeGroup;
+    this.state.items = qsa(document, '[data-gallery-grid] [data-gallery-item], [data-gallery-grid] .gallery__item')
+      .filter((item) => !item.hasAttribute('data-hidden')) // visible cards only
+      .filter((item) => (group ? itemGroup(item) === group : this.accepts(itemGroup(item))));
+  }
+
+  isOpen() {
+    return this.root.hasAttribute('data-open');
+  }
+
+  /**
+   * onGalleryChange - keep the sequence in step with the gallery's filter/search/sort/page state
+   * While open, stay on the current item if it is still visible; close if nothing is left.
+   */
+  onGalleryChange(e) {
     const detail = e.detail || {};
-    open(detail.index || 0);
-  }, false);
+    const { state } = this;
+    if (!this.accepts(detail.group)) return;
+    // A shared lightbox follows only the gallery it was opened from
+    if (state.activeGroup && detail.group && detail.group !== state.activeGroup) return;
+    const current = state.items[state.index];
+    const currentId = getItemId(current);
+    this.hydrateItems(detail.items);
+    if (!this.isOpen()) return;
+    if (!state.items.length) {
+      this.close();
+      return;
+    }
+    // Match by id too: a manifest render replaces the card nodes
+    const i = state.items.findIndex((item) => item === current || (currentId && getItemId(item) === currentId));
+    state.index = i >= 0 ? i : clamp(state.index, 0, state.items.length - 1);
+    this.updateUI();
+    this.preloadNeighbors();
+  }
 
-  if (refs.closeBtn) {
-    on(refs.closeBtn, 'click', (e) => {
-      e.preventDefault();
-      close();
-    }, false);
+  /**
+   * setBackgroundHidden - hide everything outside the dialog from AT while it is open
+   * Walks up from the root, marking siblings at each level; previous aria-hidden values are restored.
+   * See A11y notes in docs/lightbox-component.md
+   */
+  setBackgroundHidden(hidden) {
+    const { state } = this;
+    if (!hidden) {
+      state.hiddenBackground.forEach(([el, prev]) => {
+        if (prev == null) el.removeAttribute('aria-hidden');
+        else el.setAttribute('aria-hidden', prev);
+      });
+      state.hiddenBackground = [];
+      return;
+    }
+    for (let node = this.root; node && node !== document.body; node = node.parentElement) {
+      Array.from(node.parentElement?.children || []).forEach((el) => {
+        // Live regions stay exposed: the shared announcer lives on body and speaks for the lightbox too
+        if (el === node || el.matches('script, style, template, [aria-live], [role="status"], [role="alert"]')) return;
+        state.hiddenBackground.push([el, el.getAttribute('aria-hidden')]);
+        el.setAttribute('aria-hidden', 'true');
+      });
+    }
   }
-  if (refs.prevBtn) {
-    on(refs.prevBtn, 'click', (e) => {
-      e.preventDefault();
-      prev();
+
+  /**
+   * applySources - point the lightbox <picture>/<img> at an item's candidates
+   * <source> and srcset/sizes are updated before src so selection runs once against the new candidates.
+   * Intrinsic width/height reserve the aspect ratio; without them the attributes are dropped
+   * rather than left at a wrong placeholder ratio.
+   */
+  applySources(sources, alt) {
+    const { refs } = this;
+    if (!refs.img || !sources.src) return;
+    setOrRemove(refs.sources.avif, 'srcset', sources.avif);
+    setOrRemove(refs.sources.webp, 'srcset', sources.webp);
+    [refs.sources.avif, refs.sources.webp].forEach((source) => setOrRemove(source, 'sizes', sources.sizes));
+    setOrRemove(refs.img, 'width', sources.width);
+    setOrRemove(refs.img, 'height', sources.height);
+    setOrRemove(refs.img, 'sizes', sources.sizes);
+    setOrRemove(refs.img, 'srcset', sources.srcset);
+    refs.img.src = sources.src;
+    refs.img.alt = alt;
+  }
+
+  /**
+   * setLoadState - expose 'loading' | 'ready' | 'error' as data-state on the root for styling
+   */
+  setLoadState(value) {
+    const { refs } = this;
+    refs.root.setAttribute('data-state', value);
+    refs.figure?.setAttribute('aria-busy', String(value === 'loading'));
+    if (refs.error) refs.error.hidden = value !== 'error';
+  }
+
+  /**
+   * loadImage - swap in an item's sources with loading/error states
+   * The card thumbnail is shown (blurred) until the full image decodes, and stays as the
+   * fallback on error. Only the latest load may change state or announce, so quick
+   * navigation cancels stale ones (the browser aborts the superseded request on src change).
+   * @param {Element} card
+   * @param {string} message announced once the image is decoded
+   */
+  loadImage(card, message) {
+    const { refs, state } = this;
+    const loadId = ++state.loadId;
+    const alt = card.querySelector('img')?.getAttribute('alt') || '';
+    this.setLoadState('loading');
+    this.applySources(resolveSources(card), alt);
+    if (!refs.img) return;
+    waitForImage(refs.img).then(() => {
+      if (loadId !== state.loadId) return;
+      this.setLoadState('ready');
+      announce(message, 'polite');
+    }, () => {
+      if (loadId !== state.loadId) return;
+      this.setLoadState('error'); // [data-lightbox-error] is role="alert", so the failure is announced
+    });
+  }
+
+  /**
+   * loadEmbed - render a video, iframe or html slide into [data-lightbox-embed]
+   * Same loading/error states and stale-load guard as loadImage.
+   * @param {Element} card
+   * @param {'video'|'iframe'|'html'} type
+   * @param {string} label accessible name for the embed
+   * @param {string} message announced once the media is ready
+   */
+  loadEmbed(card, type, label, message) {
+    const { refs, state } = this;
+    const loadId = ++state.loadId;
+    const node = refs.embed ? createEmbed(card, type, label) : null;
+    if (!node) {
+      this.setLoadState('error');
+      return;
+    }
+    refs.embed.replaceChildren(node);
+    refs.embed.hidden = false;
+    this.setLoadState('loading');
+    waitForEmbed(node).then(() => {
+      if (loadId !== state.loadId) return;
+      this.setLoadState('ready');
+      announce(message, 'polite');
+    }, () => {
+      if (loadId !== state.loadId) return;
+      this.setLoadState('error');
+    });
+  }
+
+  /**
+   * loadItem - show the item in the form its data-type asks for
+   * Media from the previous item is stopped first; the thumbnail is the placeholder for every type.
+   * @param {Element} card
+   * @param {string} label caption used as the embed's accessible name
+   * @param {string} message announced once the item is ready
+   */
+  loadItem(card, label, message) {
+    const { refs, state } = this;
+    const type = getItemType(card);
+    const thumb = card.querySelector('img');
+    this.stopMedia();
+    state.type = type;
+    refs.root.setAttribute('data-type', type);
+    if (refs.errorText) refs.errorText.textContent = ERROR_MESSAGES[type];
+    if (refs.placeholder) {
+      setOrRemove(refs.placeholder, 'src', thumb?.currentSrc || thumb?.getAttribute('src'));
+    }
+    if (type === 'image') this.loadImage(card, message);
+    else this.loadEmbed(card, type, label, message);
+  }
+
+  /**
+   * stopMedia - pause and unload any video, audio or iframe in the embed container
+   * Removing the nodes also tears down iframe documents, so nothing keeps playing off-screen.
+   */
+  stopMedia() {
+    const { embed } = this.refs;
+    if (!embed) return;
+    qsa(embed, 'video, audio').forEach((media) => media.pause());
+    embed.replaceChildren();
+    embed.hidden = true;
+  }
+
+  /**
+   * retry - reload the current item after an error
+   * Clearing src first forces a fresh request for the same URL.
+   */
+  retry() {
+    const { refs, state } = this;
+    const card = state.items[state.index];
+    if (!card) return;
+    if (refs.img) {
+      refs.img.removeAttribute('src');
+      refs.img.removeAttribute('srcset');
+    }
+    const label = TYPE_LABELS[getItemType(card)];
+    this.loadItem(card, getCaption(card), `${label} ${state.index + 1} of ${state.items.length} loaded`);
+    (refs.dialog || refs.closeBtn)?.focus?.(); // the retry button hides while loading
+  }
+
+  updateUI() {
+    const { refs, state } = this;
+    const card = state.items[state.index];
+    if (!card) return;
+    const caption = getCaption(card);
+
+    this.resetZoom({ animate: false });
+    // Announce the change for AT once the media is actually there
+    const label = TYPE_LABELS[getItemType(card)];
+    this.loadItem(card, caption, `${label} ${state.index + 1} of ${state.items.length}${caption ? `, ${caption}` : ''}`);
+    if (refs.caption) {
+      refs.caption.textContent = caption;
+    }
+    if (refs.counter) {
+      refs.counter.textContent = `${state.index + 1} / ${state.items.length}`;
+    }
+    this.restartSlide();
+    this.syncFilmstrip();
+    this.renderInfo(card);
+    if (!this.isOpen()) return;
+    // Keep #view= on the current item without adding history entries while navigating
+    if (!state.backPending) setHashParams({ [VIEW_PARAM]: getItemId(card) || null }, { replace: true });
+
+    const previous = state.shown;
+    state.shown = { index: state.index, item: card };
+    if (previous && (previous.item !== card || previous.index !== state.index)) {
+      this.emit('change', { previousIndex: previous.index, previousItem: previous.item, index: state.index, item: card });
+    }
+  }
+
+  /**
+   * renderFilmstrip - one role="option" per item, built from its thumbnail img
+   * Rebuilt only when the sequence changes (filter, sort, manifest render); hidden below two items.
+   * @returns {boolean} whether focus was inside the strip when it was rebuilt
+   */
+  renderFilmstrip() {
+    const { refs, state } = this;
+    if (!refs.filmstrip || state.filmstripItems === state.items) return false;
+    state.filmstripItems = state.items;
+    const hadFocus = refs.filmstrip.contains(document.activeElement);
+    const frag = document.createDocumentFragment();
+    state.items.forEach((card, i) => {
+      const thumb = card.querySelector('img');
+      const option = document.createElement('div');
+      option.className = 'lightbox__thumb';
+      option.setAttribute('role', 'option');
+      option.setAttribute('data-filmstrip-index', String(i));
+      option.setAttribute('aria-label', getCaption(card) || thumb?.getAttribute('alt') || `${TYPE_LABELS[getItemType(card)]} ${i + 1}`);
+      const img = document.createElement('img');
+      img.alt = '';
+      img.loading = 'lazy';
+      img.decoding = 'async';
+      img.draggable = false;
+      setOrRemove(img, 'src', thumb?.currentSrc || thumb?.getAttribute('src'));
+      option.appendChild(img);
+      frag.appendChild(option);
+    });
+    refs.filmstrip.replaceChildren(frag);
+    refs.filmstrip.hidden = state.items.length < 2;
+    // Focused option was removed with the old strip; keep focus in the dialog
+    if (hadFocus && refs.filmstrip.hidden) (refs.dialog || refs.closeBtn)?.focus?.();
+    return hadFocus && !refs.filmstrip.hidden;
+  }
+
+  /**
+   * syncFilmstrip - roving tabindex and aria-selected follow state.index; keep the option in view
+   * @param {{ focus?: boolean }} [options] move focus to the current option (keyboard use inside the strip)
+   */
+  syncFilmstrip({ focus = false } = {}) {
+    const { refs, state } = this;
+    if (!refs.filmstrip) return;
+    const refocus = this.renderFilmstrip();
+    qsa(refs.filmstrip, '[role="option"]').forEach((option, i) => {
+      const current = i === state.index;
+      option.setAttribute('aria-selected', String(current));
+      option.tabIndex = current ? 0 : -1;
+      if (!current) return;
+      option.scrollIntoView?.({ block: 'nearest', inline: 'nearest', behavior: prefersReducedMotion() ? 'auto' : 'smooth' });
+      if (focus || refocus) option.focus();
+    });
+  }
+
+  /**
+   * goTo - show the item at index (clamped) in the current sequence
+   */
+  goTo(index, { focusFilmstrip = false } = {}) {
+    const { state } = this;
+    if (!state.items.length) return;
+    const i = clamp(index, 0, state.items.length - 1);
+    if (i === state.index) {
+      this.syncFilmstrip({ focus: focusFilmstrip });
+      return;
+    }
+    state.index = i;
+    this.updateUI();
+    this.preloadNeighbors();
+    if (focusFilmstrip) this.syncFilmstrip({ focus: true });
+  }
+
+  /**
+   * onFilmstripKeydown - listbox keys: arrows step without wrapping, Home/End jump; selection follows focus
+   */
+  onFilmstripKeydown(e) {
+    const { state } = this;
+    const keys = {
+      ArrowRight: state.index + 1,
+      ArrowDown: state.index + 1,
+      ArrowLeft: state.index - 1,
+      ArrowUp: state.index - 1,
+      Home: 0,
+      End: state.items.length - 1
+    };
+    if (!(e.key in keys)) return;
+    e.preventDefault();
+    this.goTo(keys[e.key], { focusFilmstrip: true });
+  }
+
+  initFilmstrip() {
+    const { refs } = this;
+    if (!refs.filmstrip) return;
+    refs.filmstrip.setAttribute('role', 'listbox');
+    refs.filmstrip.setAttribute('aria-orientation', 'horizontal');
+    this.listen(refs.filmstrip, 'keydown', (e) => this.onFilmstripKeydown(e), false);
+    this.listen(refs.filmstrip, 'click', (e) => {
+      const option = /** @type {Element} */ (e.target).closest?.('[data-filmstrip-index]');
+      if (option) this.goTo(parseInt(option.getAttribute('data-filmstrip-index'), 10), { focusFilmstrip: true });
     }, false);
   }
-  if (refs.nextBtn) {
-    on(refs.nextBtn, 'click', (e) => {
+
+  /**
+   * renderInfo - fill [data-lightbox-info] for the item using DOM APIs only
+   * Attribute and manifest values are set as text; only author <template> content is cloned as markup.
+   * The figure is described by the panel so AT can reach the long description even while collapsed.
+   */
+  renderInfo(card) {
+    const { refs } = this;
+    if (!refs.info) return;
+    const info = getItemInfo(card);
+    const frag = document.createDocumentFragment();
+
+    const heading = document.createElement('h3');
+    heading.className = 'lightbox__info-title';
+    heading.textContent = info.title;
+    frag.appendChild(heading);
+    if (info.meta) {
+      const meta = document.createElement('p');
+      meta.className = 'lightbox__info-meta';
+      meta.textContent = info.meta;
+      frag.appendChild(meta);
+    }
+    if (info.tags.length) {
+      const tags = document.createElement('ul');
+      tags.className = 'lightbox__info-tags';
+      tags.setAttribute('aria-label', 'Tags');
+      info.tags.forEach((tag) => {
+        const li = document.createElement('li');
+        li.textContent = tag;
+        tags.appendChild(li);
+      });
+      frag.appendChild(tags);
+    }
+    const description = document.createElement('div');
+    description.className = 'lightbox__info-description flow';
+    if (info.template) {
+      description.appendChild(info.template.content.cloneNode(true));
+    } else {
+      info.description.split(/\n\s*\n/).map((text) => text.trim()).filter(Boolean).forEach((text) => {
+        const p = document.createElement('p');
+        p.textContent = text;
+        description.appendChild(p);
+      });
+    }
+    if (description.childNodes.length) frag.appendChild(description);
+    if (info.links.length) {
+      const links = document.createElement('ul');
+      links.className = 'lightbox__info-links';
+      info.links.forEach(([label, href]) => {
+        const li = document.createElement('li');
+        const a = document.createElement('a');
+        a.href = href;
+        a.target = '_blank';
+        a.rel = 'noopener noreferrer';
+        a.textContent = label;
+        li.appendChild(a);
+        links.appendChild(li);
+      });
+      frag.appendChild(links);
+    }
+    refs.info.replaceChildren(frag);
+    refs.figure?.setAttribute('aria-describedby', refs.info.id);
+  }
+
+  /**
+   * toggleInfo - expand or collapse the info panel
+   * @param {boolean} [force]
+   */
+  toggleInfo(force) {
+    const { refs, state } = this;
+    if (!refs.info) return;
+    state.infoOpen = force ?? !state.infoOpen;
+    refs.info.hidden = !state.infoOpen;
+    refs.infoToggle?.setAttribute('aria-expanded', String(state.infoOpen));
+    refs.root.toggleAttribute('data-info-open', state.infoOpen);
+  }
+
+  initInfo() {
+    const { refs } = this;
+    if (!refs.info) return;
+    if (!refs.info.id) refs.info.id = `lightbox-info-${instances.size + 1}`; // instances does not include this one yet
+    if (refs.infoToggle) {
+      refs.infoToggle.hidden = false; // ships hidden for the no-JS page
+      refs.infoToggle.setAttribute('aria-controls', refs.info.id);
+      this.listen(refs.infoToggle, 'click', (e) => {
+        e.preventDefault();
+        this.toggleInfo();
+      }, false);
+    }
+    this.toggleInfo(false);
+  }
+
+  /**
+   * Zoom and pan
+   * Transform is translate(x, y) scale(s) around the image centre; pan is clamped so the
+   * zoomed image always covers its box.
+   */
+  applyTransform({ animate = false } = {}) {
+    const { refs } = this;
+    if (!refs.img) return;
+    const { scale, x, y } = this.state.zoom;
+    // Inline transition only while animating the transform; otherwise the stylesheet's (opacity-only) applies
+    refs.img.style.transition = animate && !prefersReducedMotion() ? 'transform var(--duration-2) var(--ease-standard)' : '';
+    refs.img.style.transform = scale === 1 && !x && !y ? '' : `translate(${x}px, ${y}px) scale(${scale})`;
+    refs.root.toggleAttribute('data-zoomed', scale > 1);
+  }
+
+  clampPan() {
+    const { refs, state } = this;
+    if (!refs.img) return;
+    const { scale } = state.zoom;
+    const maxX = (refs.img.offsetWidth * (scale - 1)) / 2;
+    const maxY = (refs.img.offsetHeight * (scale - 1)) / 2;
+    state.zoom.x = clamp(state.zoom.x, -maxX, maxX);
+    state.zoom.y = clamp(state.zoom.y, -maxY, maxY);
+  }
+
+  /**
+   * pointFromClient - client coordinates relative to the untransformed image centre
+   */
+  pointFromClient(clientX, clientY) {
+    const rect = this.refs.img.getBoundingClientRect();
+    return {
+      x: clientX - (rect.left + rect.width / 2) + this.state.zoom.x,
+      y: clientY - (rect.top + rect.height / 2) + this.state.zoom.y
+    };
+  }
+
+  /**
+   * zoomTo - set scale, keeping `point` (image-centre coordinates) fixed on screen
+   * @param {number} scale
+   * @param {{ x: number, y: number }} [point] defaults to the centre
+   * @returns {boolean} whether the scale changed
+   */
+  zoomTo(scale, point = { x: 0, y: 0 }, { animate = true } = {}) {
+    const { state } = this;
+    if (!this.refs.img || state.type !== 'image') return false; // embeds keep their native size and controls
+    const s1 = state.zoom.scale;
+    const s2 = clamp(scale, 1, GESTURE.maxScale);
+    state.zoom = s2 === 1
+      ? { scale: 1, x: 0, y: 0 }
+      : {
+        scale: s2,
+        x: point.x - (point.x - state.zoom.x) * (s2 / s1),
+        y: point.y - (point.y - state.zoom.y) * (s2 / s1)
+      };
+    this.clampPan();
+    this.applyTransform({ animate });
+    return s2 !== s1;
+  }
+
+  zoomIn() {
+    return this.zoomTo(this.state.zoom.scale * GESTURE.zoomStep);
+  }
+
+  zoomOut() {
+    return this.zoomTo(this.state.zoom.scale / GESTURE.zoomStep);
+  }
+
+  resetZoom({ animate = true } = {}) {
+    const zoomed = this.state.zoom.scale !== 1;
+    this.state.zoom = { scale: 1, x: 0, y: 0 };
+    this.applyTransform({ animate });
+    return zoomed;
+  }
+
+  pointerList() {
+    return Array.from(this.gesture.pointers.values());
+  }
+
+  pointerDistance() {
+    const [a, b] = this.pointerList();
+    return Math.hypot(a.x - b.x, a.y - b.y) || 1;
+  }
+
+  pointerMidpoint() {
+    const [a, b] = this.pointerList();
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+  }
+
+  beginSinglePointer(x, y) {
+    this.gesture.start = { x, y, time: performance.now(), panX: this.state.zoom.x, panY: this.state.zoom.y };
+  }
+
+  onPointerDown(e) {
+    const { gesture } = this;
+    if (!this.isOpen() || (e.pointerType === 'mouse' && e.button !== 0)) return;
+    // Video controls and slide content handle their own pointer input
+    if (this.refs.embed?.contains(/** @type {Node} */ (e.target))) return;
+    // Capturing a press on a button (e.g. Retry in the error panel) would retarget its click or count it as a tap
+    if (/** @type {Element} */ (e.target).closest?.('button, a[href], [data-lightbox-error]')) return;
+    gesture.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    this.refs.figure?.setPointerCapture?.(e.pointerId);
+    if (gesture.pointers.size === 1) {
+      gesture.moved = false;
+      this.beginSinglePointer(e.clientX, e.clientY);
+    } else if (gesture.pointers.size === 2) {
+      const mid = this.pointerMidpoint();
+      gesture.pinch = { dist: this.pointerDistance(), scale: this.state.zoom.scale, point: this.pointFromClient(mid.x, mid.y) };
+      gesture.moved = true;
+    }
+  }
+
+  onPointerMove(e) {
+    const { gesture, refs, state } = this;
+    if (!gesture.pointers.has(e.pointerId) || !gesture.start) return;
+    gesture.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (gesture.pinch && gesture.pointers.size >= 2) {
+      this.zoomTo(gesture.pinch.scale * (this.pointerDistance() / gesture.pinch.dist), gesture.pinch.point, { animate: false });
+      return;
+    }
+
+    const dx = e.clientX - gesture.start.x;
+    const dy = e.clientY - gesture.start.y;
+    if (Math.hypot(dx, dy) > GESTURE.tapSlop) gesture.moved = true;
+    if (!gesture.moved) return;
+
+    if (state.zoom.scale > 1) {
+      // Pan the zoomed image
+      state.zoom.x = gesture.start.panX + dx;
+      state.zoom.y = gesture.start.panY + dy;
+      this.clampPan();
+      this.applyTransform();
+    } else if (refs.img) {
+      // Follow the finger so the swipe direction is visible before release
+      const horizontal = Math.abs(dx) > Math.abs(dy);
+      refs.img.style.transition = '';
+      refs.img.style.transform = horizontal ? `translateX(${dx}px)` : `translateY(${Math.max(0, dy)}px)`;
+    }
+  }
+
+  onPointerUp(e) {
+    const { gesture } = this;
+    if (!gesture.pointers.has(e.pointerId)) return;
+    gesture.pointers.delete(e.pointerId);
+
+    if (gesture.pinch) {
+      // Lifting one finger of a pinch continues as a pan with the other
+      gesture.pinch = null;
+      const [rest] = this.pointerList();
+      if (rest) this.beginSinglePointer(rest.x, rest.y);
+      else gesture.start = null;
+      return;
+    }
+    const start = gesture.start;
+    gesture.start = null;
+    if (!start || e.type === 'pointercancel') {
+      this.applyTransform({ animate: true });
+      return;
+    }
+
+    if (!gesture.moved) {
+      this.onTap(e);
+      return;
+    }
+    if (this.state.zoom.scale > 1) return;
+
+    const dx = e.clientX - start.x;
+    const dy = e.clientY - start.y;
+    const velocity = Math.abs(dx) / Math.max(1, performance.now() - start.time);
+    if (Math.abs(dx) > Math.abs(dy) && (Math.abs(dx) > GESTURE.swipeDistance || velocity > GESTURE.swipeVelocity)) {
+      if (dx < 0) this.next();
+      else this.prev();
+    } else if (dy > GESTURE.closeDistance && dy > Math.abs(dx)) {
+      this.applyTransform();
+      this.close();
+    } else {
+      this.applyTransform({ animate: true }); // snap back
+    }
+  }
+
+  /**
+   * onTap - double-tap (or double-click) toggles zoom around the tapped point
+   */
+  onTap(e) {
+    const { gesture } = this;
+    const now = performance.now();
+    const last = gesture.lastTap;
+    if (last && now - last.time < GESTURE.doubleTapMs && Math.hypot(e.clientX - last.x, e.clientY - last.y) < GESTURE.doubleTapSlop) {
+      gesture.lastTap = null;
+      if (this.state.zoom.scale > 1) this.resetZoom();
+      else this.zoomTo(GESTURE.doubleTapScale, this.pointFromClient(e.clientX, e.clientY));
+    } else {
+      gesture.lastTap = { time: now, x: e.clientX, y: e.clientY };
+    }
+  }
+
+  initGestures() {
+    const { refs } = this;
+    if (!refs.figure || !refs.img) return;
+    refs.img.draggable = false; // native image drag would swallow pointer events
+    this.listen(refs.figure, 'pointerdown', (e) => this.onPointerDown(e), false);
+    this.listen(refs.figure, 'pointermove', (e) => this.onPointerMove(e), false);
+    this.listen(refs.figure, 'pointerup', (e) => this.onPointerUp(e), false);
+    this.listen(refs.figure, 'pointercancel', (e) => this.onPointerUp(e), false);
+  }
+
+  preloadNeighbors() {
+    // Preload adjacent images to reduce navigation latency
+    const { state } = this;
+    if (!state.items.length) return;
+    const next = state.items[nextIndex(state.index, state.items.length)];
+    const prev = state.items[prevIndex(state.index, state.items.length)];
+    [next, prev].forEach((card) => {
+      if (card) preloadItem(card); // keep attr names synced with docs
+    });
+  }
+
+  /**
+   * Slideshow (WCAG 2.2.2): nothing advances unless the user pressed Play, or the root opts in with
+   * data-lightbox-autoplay and reduced motion is not preferred. The Play/Pause button stays visible and
+   * keyboard-operable whenever the slideshow can run.
+   */
+  play({ announce: say = true } = {}) {
+    const { refs, slideshow, state } = this;
+    if (!this.isOpen() || state.items.length < 2) return;
+    slideshow.playing = true;
+    slideshow.remaining = slideshow.interval;
+    this.syncPlayButton();
+    this.runTimer();
+    if (say) announce('Slideshow playing', 'polite');
+    refs.root.setAttribute('data-slideshow', 'playing');
+  }
+
+  pause({ announce: say = true } = {}) {
+    const { refs, slideshow } = this;
+    const wasPlaying = slideshow.playing;
+    slideshow.playing = false;
+    clearTimeout(slideshow.timer);
+    slideshow.timer = null;
+    this.syncPlayButton();
+    this.renderProgress(false);
+    refs.root.removeAttribute('data-slideshow');
+    if (say && wasPlaying) announce('Slideshow paused', 'polite');
+  }
+
+  toggleSlideshow() {
+    if (this.slideshow.playing) this.pause();
+    else this.play();
+  }
+
+  /**
+   * hold / release - temporarily freeze the countdown for a reason; it resumes when no reasons remain
+   * @param {'hover'|'focus'|'hidden'|'media'} reason
+   */
+  hold(reason) {
+    const { slideshow } = this;
+    slideshow.holds.add(reason);
+    if (!slideshow.timer) return;
+    clearTimeout(slideshow.timer);
+    slideshow.timer = null;
+    slideshow.remaining = Math.max(0, slideshow.remaining - (performance.now() - slideshow.startedAt));
+    this.renderProgress(false);
+  }
+
+  release(reason) {
+    if (!this.slideshow.holds.delete(reason)) return;
+    this.runTimer();
+  }
+
+  /**
+   * runTimer - count down the rest of the current slide, then advance with next()
+   */
+  runTimer() {
+    const { slideshow } = this;
+    clearTimeout(slideshow.timer);
+    slideshow.timer = null;
+    if (!slideshow.playing || slideshow.holds.size) return;
+    slideshow.startedAt = performance.now();
+    slideshow.timer = setTimeout(() => {
+      slideshow.timer = null;
+      this.next();
+    }, slideshow.remaining);
+    this.renderProgress(true);
+  }
+
+  /**
+   * restartSlide - give a newly shown item the full interval
+   */
+  restartSlide() {
+    const { slideshow } = this;
+    slideshow.remaining = slideshow.interval;
+    if (slideshow.playing && this.state.items.length < 2) this.pause();
+    else if (slideshow.playing) this.runTimer();
+    if (this.refs.playBtn) this.refs.playBtn.disabled = this.state.items.length < 2;
+  }
+
+  /**
+   * renderProgress - drive the [data-lightbox-progress] bar with a linear transform transition
+   * Frozen (no transition) while held; static under reduced motion.
+   */
+  renderProgress(running) {
+    const { progress } = this.refs;
+    if (!progress) return;
+    const { interval, remaining, playing } = this.slideshow;
+    progress.hidden = !playing;
+    progress.style.transition = 'none';
+    progress.style.transform = `scaleX(${1 - remaining / interval})`;
+    if (!running || prefersReducedMotion()) return;
+    progress.getBoundingClientRect(); // commit the start position before transitioning
+    progress.style.transition = `transform ${remaining}ms linear`;
+    progress.style.transform = 'scaleX(1)';
+  }
+
+  syncPlayButton() {
+    const { playBtn } = this.refs;
+    if (!playBtn) return;
+    const { playing } = this.slideshow;
+    playBtn.textContent = playing ? 'Pause' : 'Play';
+    playBtn.setAttribute('aria-label', playing ? 'Pause slideshow' : 'Play slideshow');
+    playBtn.toggleAttribute('data-playing', playing);
+  }
+
+  /**
+   * onDialogFocus - focus on any control other than Play/Pause holds the slideshow
+   */
+  onDialogFocus(e) {
+    const target = e.target;
+    if (target === this.refs.playBtn || target === this.refs.dialog) this.release('focus');
+    else this.hold('focus');
+  }
+
+  initSlideshow() {
+    const { refs } = this;
+    if (!refs.playBtn) return;
+    refs.playBtn.hidden = false; // ships hidden for the no-JS page
+    this.syncPlayButton();
+    this.listen(refs.playBtn, 'click', (e) => {
       e.preventDefault();
-      next();
+      this.toggleSlideshow();
     }, false);
+    const surface = refs.dialog || refs.root;
+    this.listen(surface, 'pointerenter', (e) => { if (e.pointerType === 'mouse') this.hold('hover'); });
+    this.listen(surface, 'pointerleave', (e) => { if (e.pointerType === 'mouse') this.release('hover'); });
+    this.listen(surface, 'focusin', (e) => this.onDialogFocus(e));
+    this.listen(document, 'visibilitychange', () => {
+      if (document.hidden) this.hold('hidden');
+      else this.release('hidden');
+    });
+    // Media events do not bubble, so listen in the capture phase
+    if (refs.embed) {
+      this.listen(refs.embed, 'play', () => this.hold('media'), true);
+      this.listen(refs.embed, 'pause', () => this.release('media'), true);
+      this.listen(refs.embed, 'ended', () => this.release('media'), true);
+    }
+  }
+
+  /**
+   * open - show the item at index in the visible sequence
+   * Pushes a #view= history entry so browser Back closes the viewer instead of leaving the page.
+   * Dispatches cancelable `lightbox:beforeopen` first, then `lightbox:opened` once shown.
+   * @param {number} [index]
+   * @param {{ updateHash?: boolean, items?: Element[] }} [options] pass updateHash: false when responding to a hash change;
+   *   items replaces the sequence (as sent with gallery.js open requests)
+   * @returns {boolean} whether the lightbox is open afterwards
+   */
+  open(index = 0, { updateHash = true, items } = {}) {
+    const { refs, state } = this;
+    if (!this.isOpen()) this.hydrateItems(items); // DOM is the source of truth until gallery:change updates arrive
+    if (!state.items.length) return false;
+
+    const target = clamp(index, 0, state.items.length - 1);
+    if (!this.isOpen()) {
+      if (!this.emit('beforeopen', { index: target, item: state.items[target] }, { cancelable: true })) return false;
+      rememberFocus();
+      state.shown = null;
+    }
+    state.index = target;
+
+    const id = getItemId(state.items[state.index]);
+    // While close()'s history.back() is in flight the entry is pushed once it lands (onHashChange)
+    if (updateHash && id && !state.backPending && getHashParam(VIEW_PARAM) !== id) {
+      setHashParams({ [VIEW_PARAM]: id });
+      state.pushedHistory = true;
+    }
+
+    const wasOpen = this.isOpen();
+    refs.root.removeAttribute('hidden'); // ensure lightbox root visible
+    refs.root.setAttribute('data-open', 'true'); // matches docs "open state"
+    refs.root.setAttribute('aria-modal', 'true'); // modal semantics
+    refs.dialog?.setAttribute('role', 'dialog'); // role on dialog node
+
+    this.updateUI();
+    this.preloadNeighbors();
+    if (wasOpen) return true;
+
+    this.setBackgroundHidden(true);
+    // Opt-in autoplay starts focused on its Pause control so the stop is the first thing reached
+    const autoplay = refs.root.hasAttribute('data-lightbox-autoplay') && !prefersReducedMotion() && refs.playBtn && state.items.length > 1;
+    // trap focus inside dialog — see focus trapping guidance in docs/lightbox-component.md
+    state.releaseFocusFn = trapFocus(refs.dialog || refs.root, (autoplay ? refs.playBtn : refs.closeBtn) || refs.dialog);
+    if (autoplay) this.play({ announce: false });
+
+    // Announce opening
+    announce('Image viewer opened', 'polite');
+    state.shown = { index: state.index, item: state.items[state.index] };
+    this.emit('opened', { ...this.current() });
+    return true;
+  }
+
+  /**
+   * close - hide the viewer and drop #view= from the hash
+   * Steps back over the entry open() pushed; otherwise rewrites the current entry.
+   * @param {{ updateHash?: boolean }} [options] pass updateHash: false when responding to a hash change
+   */
+  close({ updateHash = true } = {}) {
+    const { refs, state, gesture } = this;
+    if (!this.isOpen()) return;
+    if (updateHash && getHashParam(VIEW_PARAM)) {
+      if (state.pushedHistory) {
+        state.backPending = location.hash;
+        history.back();
+      } else setHashParams({ [VIEW_PARAM]: null }, { replace: true });
+    }
+    state.pushedHistory = false;
+    state.loadId++; // drop any pending load so it cannot announce after close
+    gesture.pointers.clear();
+    gesture.start = null;
+    gesture.pinch = null;
+    this.resetZoom({ animate: false });
+    this.stopMedia();
+    this.pause({ announce: false });
+    this.slideshow.holds.clear();
+    refs.root.setAttribute('hidden', '');
+    refs.root.removeAttribute('data-open');
+    refs.root.removeAttribute('aria-modal');
+    this.setBackgroundHidden(false);
+    if (state.releaseFocusFn) state.releaseFocusFn();
+    state.releaseFocusFn = null;
+    restoreFocus();
+    announce('Image viewer closed', 'polite');
+    state.shown = null;
+    this.emit('close', { ...this.current() });
+  }
+
+  next() {
+    const { state } = this;
+    if (!state.items.length) return;
+    state.index = nextIndex(state.index, state.items.length);
+    this.updateUI();
+    this.preloadNeighbors();
+  }
+
+  prev() {
+    const { state } = this;
+    if (!state.items.length) return;
+    state.index = prevIndex(state.index, state.items.length);
+    this.updateUI();
+    this.preloadNeighbors();
+  }
+
+  onKeydown(e) {
+    if (!this.isOpen()) return;
+    // Arrow and zoom keys belong to focused media controls (seek, volume) or the filmstrip listbox; Escape still closes
+    const target = /** @type {Node} */ (e.target);
+    if (e.key !== 'Escape' && (this.refs.embed?.contains(target) || this.refs.filmstrip?.contains(target))) return;
+    switch (e.key) {
+      case 'Escape':
+        e.preventDefault();
+        this.close();
+        break;
+      case 'ArrowRight':
+        e.preventDefault();
+        this.next();
+        break;
+      case 'ArrowLeft':
+        e.preventDefault();
+        this.prev();
+        break;
+      // Keyboard equivalents for pinch/double-tap zoom
+      case '+':
+      case '=':
+        e.preventDefault();
+        if (this.zoomIn()) announce(`Zoom ${Math.round(this.state.zoom.scale * 100)}%`, 'polite');
+        break;
+      case '-':
+      case '_':
+        e.preventDefault();
+        if (this.zoomOut()) announce(`Zoom ${Math.round(this.state.zoom.scale * 100)}%`, 'polite');
+        break;
+      case '0':
+        e.preventDefault();
+        if (this.resetZoom()) announce('Zoom reset', 'polite');
+        break;
+      case 'i':
+      case 'I':
+        // Plain key only, and never while typing in a field a plugin may have added
+        if (!this.refs.info || e.ctrlKey || e.metaKey || e.altKey || /** @type {Element} */ (e.target).closest?.('input, textarea, select, [contenteditable]')) break;
+        e.preventDefault();
+        this.toggleInfo();
+        announce(this.state.infoOpen ? 'Project info shown' : 'Project info hidden', 'polite');
+        break;
+    }
+  }
+
+  onBackdropClick(e) {
+    // Close when clicking explicit backdrop or root background (outside dialog) — ensure event target matches selectors listed in docs
+    if (e.target === this.refs.root || e.target === this.refs.backdrop) {
+      this.close();
+    }
+  }
+
+  /**
+   * onOpenRequest - lightbox:open from a gallery in this lightbox's group
+   */
+  onOpenRequest(e) {
+    const detail = e.detail || {};
+    if (!this.accepts(detail.group)) return;
+    const { state } = this;
+    state.activeGroup = detail.group || this.group;
+    const items = Array.isArray(detail.items) ? detail.items : undefined;
+    this.hydrateItems(items);
+    // Resolve by card when provided so the index always refers to the visible sequence
+    const byItem = detail.item ? state.items.indexOf(detail.item) : -1;
+    this.open(byItem >= 0 ? byItem : detail.index || 0, { items });
   }
 
-  // Keyboard navigation
-  on(document, 'keydown', onKeydown, false);
+  /**
+   * openById - open (or move to) the visible item with the given deep-link id
+   * @returns {boolean} whether a matching item was found and shown (false if lightbox:beforeopen was cancelled)
+   */
+  openById(id, options) {
+    const { state } = this;
+    if (!this.isOpen()) {
+      // Search every group this lightbox serves, then narrow to the matched item's gallery
+      state.activeGroup = this.group;
+      this.hydrateItems();
+      const match = state.items.find((item) => getItemId(item) === id);
+      if (!match) return false;
+      state.activeGroup = itemGroup(match) || this.group;
+      this.hydrateItems();
+    }
+    const i = state.items.findIndex((item) => getItemId(item) === id);
+    if (i < 0) return false;
+    if (!this.isOpen()) return this.open(i, options);
+    state.index = i;
+    this.updateUI();
+    this.preloadNeighbors();
+    return true;
+  }
+
+  /**
+   * onHashChange - Back/Forward and pasted links: open, move to, or close per #view=
+   */
+  onHashChange() {
+    const { state } = this;
+    if (state.backPending) {
+      // A hashchange queued before the step back (open()'s own push) still shows the old entry
+      if (location.hash === state.backPending) return;
+      // Our own close() stepping back; if the viewer was reopened before it landed, record that entry now
+      state.backPending = '';
+      const current = this.isOpen() ? getItemId(state.items[state.index]) : '';
+      if (current) {
+        setHashParams({ [VIEW_PARAM]: current });
+        state.pushedHistory = true;
+      }
+      return;
+    }
+    const id = getHashParam(VIEW_PARAM);
+    if (!id) {
+      if (this.isOpen()) this.close({ updateHash: false });
+      return;
+    }
+    if (this.isOpen() && getItemId(this.state.items[this.state.index]) === id) return;
+    // The id may belong to another lightbox's group; step aside instead of showing a stale item
+    if (!this.openById(id, { updateHash: false }) && this.isOpen()) this.close({ updateHash: false });
+  }
+
+  /**
+   * openFromInitialHash - honour #view= on page load
+   * The entry is re-pushed on top of a view-less one so Back closes instead of leaving the page.
+   */
+  openFromInitialHash() {
+    const id = getHashParam(VIEW_PARAM);
+    if (!id || !this.openById(id, { updateHash: false })) return;
+    setHashParams({ [VIEW_PARAM]: null }, { replace: true });
+    setHashParams({ [VIEW_PARAM]: id });
+    this.state.pushedHistory = true;
+  }
+
+  bind() {
+    const { refs } = this;
+    // Respond to custom open events from gallery (dispatched by gallery.js) — event name documented in docs
+    this.listen(document, 'lightbox:open', (e) => this.onOpenRequest(e), false);
+
+    if (refs.closeBtn) {
+      this.listen(refs.closeBtn, 'click', (e) => {
+        e.preventDefault();
+        this.close();
+      }, false);
+    }
+    if (refs.prevBtn) {
+      this.listen(refs.prevBtn, 'click', (e) => {
+        e.preventDefault();
+        this.prev();
+      }, false);
+    }
+    if (refs.nextBtn) {
+      this.listen(refs.nextBtn, 'click', (e) => {
+        e.preventDefault();
+        this.next();
+      }, false);
+    }
+
+    // Follow the gallery's visible sequence (also fired after manifest renders)
+    this.listen(document, 'gallery:change', (e) => this.onGalleryChange(e), false);
+
+    // Keyboard navigation
+    this.listen(document, 'keydown', (e) => this.onKeydown(e), false);
+
+    // Close on backdrop click
+    this.listen(refs.root, 'click', (e) => this.onBackdropClick(e), false);
 
-  // Close on backdrop click
-  on(refs.root, 'click', onBackdropClick, false);
+    if (refs.retryBtn) {
+      this.listen(refs.retryBtn, 'click', (e) => {
+        e.preventDefault();
+        this.retry();
+      }, false);
+    }
+
+    // Swipe, pinch, double-tap and pan on the figure
+    this.initGestures();
+
+    // Play/pause slideshow with hover, focus, visibility and media holds
+    this.initSlideshow();
+
+    // Thumbnail listbox under the figure
+    this.initFilmstrip();
+
+    // Expandable project info panel (toggle button and `i`)
+    this.initInfo();
+
+    // Deep links (#view=item-id) and history integration
+    this.listen(window, 'hashchange', () => this.onHashChange(), false);
+  }
+
+  /**
+   * destroy - close without touching history, then remove every plugin and listener this instance added
+   */
+  destroy() {
+    this.close({ updateHash: false });
+    Array.from(this.pluginCleanups.keys()).forEach((plugin) => this.removePlugin(plugin));
+    this.cleanups.splice(0).forEach((fn) => fn());
+    instances.delete(this.root);
+  }
+}
+
+/**
+ * initLightbox - create a Lightbox for every matching root (existing instances are reused)
+ * Gallery trigger anchors also carry [data-lightbox="group"], so candidates inside gallery items are skipped.
+ * @param {string} [rootSelector]
+ * @returns {Lightbox[]}
+ */
+export function initLightbox(rootSelector = '[data-lightbox], [data-lightbox-root]') {
+  // Support either [data-lightbox] (JS expectation) or [data-lightbox-root] (current HTML) — keep in sync with docs/lightbox-component.md
+  const roots = qsa(document, rootSelector).filter((el) => !el.closest('[data-gallery-item], .gallery__item'));
+  const created = roots.map((root) => instances.get(root) || new Lightbox(root));
+  // Only after every instance is registered, so group routing sees the full set
+  created.forEach((lightbox) => { if (!lightbox.isOpen()) lightbox.openFromInitialHash(); });
+  return created;
 }
 
 // Auto-init after DOM is ready if markup present
@@ -201,4 +1597,25 @@ on(document, 'DOMContentLoaded', () => {
   initLightbox('[data-lightbox], [data-lightbox-root]');
 });
 
-export const LightboxAPI = { open, close, next, prev };
\ No newline at end of file
+/**
+ * defaultLightbox - the first initialised lightbox, target of LightboxAPI
+ */
+function defaultLightbox() {
+  return instances.values().next().value || null;
+}
+
+// Module-level API kept for existing callers; it drives the default (first) lightbox
+export const LightboxAPI = {
+  open: (index, options) => defaultLightbox()?.open(index, options),
+  close: (options) => defaultLightbox()?.close(options),
+  next: () => defaultLightbox()?.next(),
+  prev: () => defaultLightbox()?.prev(),
+  goTo: (index) => defaultLightbox()?.goTo(index),
+  on: (type, handler) => defaultLightbox()?.on(type, handler),
+  use: (plugin) => Lightbox.use(plugin),
+  play: (options) => defaultLightbox()?.play(options),
+  pause: (options) => defaultLightbox()?.pause(options),
+  zoomIn: () => defaultLightbox()?.zoomIn(),
+  zoomOut: () => defaultLightbox()?.zoomOut(),
+  resetZoom: (options) => defaultLightbox()?.resetZoom(options)
+};
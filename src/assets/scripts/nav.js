@@ -0,0 +1,177 @@
+// nav.js - primary navigation (ESM)
+// Implements: mobile disclosure for #primary-nav (Escape, outside click and link activation close it) and a
+// scroll-spy that moves aria-current to the link for the section in view, including on hash navigation.
+// Without JS the toggle stays hidden and the nav is always shown.
+
+import { on, qs, qsa, throttle } from './utils.js';
+
+const NAV = {
+  wideQuery: '(min-width: 48rem)', // at and above this the nav is always shown; keep in sync with components.css
+  spyMargin: '-40% 0px -55% 0px', // observe a band just above the middle of the viewport
+  hashLockMs: 1000, // ignore the spy while a hash jump (possibly smooth) scrolls past other sections
+  current: 'location'
+};
+
+/**
+ * SiteNav - disclosure + scroll-spy for one header
+ */
+export class SiteNav {
+  /**
+   * @param {HTMLButtonElement} toggle [data-js="nav-toggle"] with aria-controls
+   * @param {HTMLElement} nav the controlled element
+   */
+  constructor(toggle, nav) {
+    this.toggle = toggle;
+    this.nav = nav;
+    this.cleanups = [];
+    this.expanded = false;
+    this.wide = window.matchMedia(NAV.wideQuery);
+    // In-page links and the sections they point at
+    this.links = qsa(nav, 'a[href^="#"]').filter((a) => a.hash.length > 1 && document.getElementById(a.hash.slice(1)));
+    this.sections = new Map(this.links.map((a) => [document.getElementById(a.hash.slice(1)), a]));
+    this.visible = new Set();
+    this.lockUntil = 0;
+
+    this.toggle.hidden = false;
+    this.sync();
+    this.bind();
+    this.initSpy();
+    this.setCurrent(this.linkForHash() || null);
+  }
+
+  /**
+   * listen - on() that records its cleanup for destroy()
+   */
+  listen(target, type, handler, options) {
+    this.cleanups.push(on(target, type, handler, options));
+  }
+
+  isOpen() {
+    return this.expanded;
+  }
+
+  open() {
+    this.expanded = true;
+    this.sync();
+  }
+
+  /**
+   * close - collapse; with { focusToggle } focus returns to the button (Escape)
+   */
+  close({ focusToggle = false } = {}) {
+    if (!this.expanded) return;
+    this.expanded = false;
+    this.sync();
+    if (focusToggle) this.toggle.focus();
+  }
+
+  /**
+   * sync - reflect state; on wide screens the nav is always shown and the toggle is hidden by CSS
+   */
+  sync() {
+    this.toggle.setAttribute('aria-expanded', String(this.expanded));
+    this.nav.hidden = !this.wide.matches && !this.expanded;
+  }
+
+  onKeydown(e) {
+    if (e.key !== 'Escape' || !this.expanded || this.wide.matches) return;
+    // Only pull focus back when it was in the header; Escape elsewhere just collapses the menu
+    const header = this.toggle.closest('header') || this.nav;
+    this.close({ focusToggle: header.contains(document.activeElement) });
+  }
+
+  onDocumentClick(e) {
+    if (!this.expanded) return;
+    if (this.nav.contains(e.target) || this.toggle.contains(e.target)) return;
+    this.close();
+  }
+
+  bind() {
+    this.listen(this.toggle, 'click', () => (this.expanded ? this.close() : this.open()), false);
+    this.listen(document, 'keydown', (e) => this.onKeydown(e), false);
+    this.listen(document, 'click', (e) => this.onDocumentClick(e));
+    // Following a link closes the menu; the browser moves to the target
+    this.listen(this.nav, 'click', (e) => {
+      if (e.target.closest?.('a[href]')) this.close();
+    });
+    this.listen(this.wide, 'change', () => {
+      if (this.wide.matches) this.expanded = false;
+      this.sync();
+    });
+    this.listen(window, 'hashchange', () => {
+      const link = this.linkForHash();
+      if (!link) return; // gallery/lightbox state hashes leave the spy alone
+      this.lockUntil = Date.now() + NAV.hashLockMs;
+      this.setCurrent(link);
+    });
+  }
+
+  /**
+   * linkForHash - nav link whose target matches location.hash, if any
+   */
+  linkForHash() {
+    const id = decodeURIComponent(location.hash.slice(1));
+    return this.links.find((a) => a.hash.slice(1) === id) || null;
+  }
+
+  /**
+   * setCurrent - move aria-current to link (null clears it, e.g. over the hero)
+   */
+  setCurrent(link) {
+    this.links.forEach((a) => {
+      if (a === link) a.setAttribute('aria-current', NAV.current);
+      else a.removeAttribute('aria-current');
+    });
+  }
+
+  /**
+   * updateSpy - first section (in document order) crossing the band; the last one once scrolled to the bottom
+   */
+  updateSpy() {
+    if (Date.now() < this.lockUntil) return;
+    const atBottom = window.scrollY > 0 && window.innerHeight + window.scrollY >= document.documentElement.scrollHeight - 2;
+    const entries = [...this.sections];
+    const hit = atBottom && this.visible.size
+      ? entries[entries.length - 1]
+      : entries.find(([section]) => this.visible.has(section));
+    this.setCurrent(hit ? hit[1] : null);
+  }
+
+  initSpy() {
+    if (!('IntersectionObserver' in window) || !this.sections.size) return;
+    this.observer = new IntersectionObserver((entries) => {
+      entries.forEach((entry) => {
+        if (entry.isIntersecting) this.visible.add(entry.target);
+        else this.visible.delete(entry.target);
+      });
+      this.updateSpy();
+    }, { rootMargin: NAV.spyMargin });
+    this.sections.forEach((_, section) => this.observer.observe(section));
+    // A short last section may never reach the band; the bottom-of-page check covers it
+    this.listen(window, 'scroll', throttle(() => this.updateSpy(), 150));
+  }
+
+  /**
+   * destroy - remove listeners and the observer; the nav is left shown
+   */
+  destroy() {
+    this.cleanups.splice(0).forEach((fn) => fn());
+    this.observer?.disconnect();
+    this.nav.hidden = false;
+    this.toggle.hidden = true;
+  }
+}
+
+/**
+ * initNav - enhance [data-js="nav-toggle"] and the element named by its aria-controls
+ * @returns {SiteNav|null}
+ */
+export function initNav() {
+  const toggle = qs(document, '[data-js="nav-toggle"]');
+  const nav = toggle && document.getElementById(toggle.getAttribute('aria-controls') || '');
+  if (!toggle || !nav) return null;
+  return new SiteNav(/** @type {HTMLButtonElement} */ (toggle), nav);
+}
+
+// Auto-init on DOM ready
+on(document, 'DOMContentLoaded', () => { initNav(); });
@@ -0,0 +1,153 @@
+// theme.js - theme switcher (ESM)
+// Implements: light/dark/high-contrast/system choice persisted in localStorage and set as :root[data-theme],
+// the OS color scheme mirrored as :root[data-color-scheme], theme-color metas kept in step with the resolved theme,
+// and change announcements. The web app manifest keeps the brand theme_color.
+// The inline script in index.html <head> applies the saved choice before first paint (same storage key).
+
+import { on, qsa, isHighContrast } from './utils.js';
+import { announce } from './a11y.js';
+
+export const THEMES = ['system', 'light', 'dark', 'high-contrast'];
+
+const THEME = {
+  storageKey: 'theme',
+  darkQuery: '(prefers-color-scheme: dark)',
+  contrastQuery: '(forced-colors: active)'
+};
+
+const THEME_LABELS = {
+  system: 'System',
+  light: 'Light',
+  dark: 'Dark',
+  'high-contrast': 'High contrast'
+};
+
+/**
+ * getTheme - the visitor's stored choice, 'system' when none (or storage is blocked)
+ * @returns {'system'|'light'|'dark'|'high-contrast'}
+ */
+export function getTheme() {
+  let stored = null;
+  try {
+    stored = localStorage.getItem(THEME.storageKey);
+  } catch {
+    // storage blocked: fall back to the attribute set this session
+    stored = document.documentElement.getAttribute('data-theme');
+  }
+  return THEMES.includes(stored) ? /** @type {any} */ (stored) : 'system';
+}
+
+/**
+ * resolveTheme - the palette actually in effect for a choice
+ * An OS high-contrast mode (isHighContrast()) overrides any choice since it enforces its own colors.
+ * @param {string} [choice]
+ * @returns {'light'|'dark'|'high-contrast'}
+ */
+export function resolveTheme(choice = getTheme()) {
+  if (isHighContrast()) return 'high-contrast';
+  if (choice === 'system') return window.matchMedia(THEME.darkQuery).matches ? 'dark' : 'light';
+  return /** @type {any} */ (choice);
+}
+
+/**
+ * tokenColor - computed value of a design token on :root, '' when unavailable
+ */
+function tokenColor(name) {
+  return getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+}
+
+/**
+ * syncColorScheme - mirror the OS scheme on :root[data-color-scheme]; variables.css applies the dark tokens from it for System
+ */
+function syncColorScheme() {
+  document.documentElement.setAttribute('data-color-scheme', window.matchMedia(THEME.darkQuery).matches ? 'dark' : 'light');
+}
+
+/**
+ * updateThemeColor - point every theme-color meta at the header surface
+ * The media-specific metas in the markup are the no-JS defaults; an explicit choice overrides both.
+ */
+function updateThemeColor(color) {
+  if (!color) return;
+  const metas = qsa(document, 'meta[name="theme-color"]');
+  if (!metas.length) {
+    const meta = document.createElement('meta');
+    meta.name = 'theme-color';
+    document.head.appendChild(meta);
+    metas.push(meta);
+  }
+  metas.forEach((meta) => meta.setAttribute('content', color));
+}
+
+/**
+ * describeTheme - announcement text, e.g. "Theme: System (dark)"
+ */
+function describeTheme(choice, resolved) {
+  if (isHighContrast() && choice !== 'high-contrast') {
+    return `Theme: ${THEME_LABELS[choice]}. Your system's high contrast colors take priority.`;
+  }
+  if (choice === 'system') return `Theme: System (${THEME_LABELS[resolved].toLowerCase()})`;
+  return `Theme: ${THEME_LABELS[choice]}`;
+}
+
+/**
+ * setTheme - apply a choice: data-theme, switcher controls, theme-color; dispatches theme:change on document
+ * @param {string} choice one of THEMES
+ * @param {{ persist?: boolean, announce?: boolean }} [options]
+ * @returns {'light'|'dark'|'high-contrast'|null} the resolved theme, or null for an unknown choice
+ */
+export function setTheme(choice, { persist = true, announce: shouldAnnounce = true } = {}) {
+  if (!THEMES.includes(choice)) {
+    console.warn(`[theme] Unknown theme "${choice}"`);
+    return null;
+  }
+  const root = document.documentElement;
+  root.setAttribute('data-theme', choice);
+  syncColorScheme();
+
+  if (persist) {
+    try {
+      if (choice === 'system') localStorage.removeItem(THEME.storageKey);
+      else localStorage.setItem(THEME.storageKey, choice);
+    } catch {
+      // applies for this page only
+    }
+  }
+
+  qsa(document, '[data-theme-select]').forEach((select) => { select.value = choice; });
+
+  const resolved = resolveTheme(choice);
+  updateThemeColor(tokenColor('--surface-1'));
+
+  if (shouldAnnounce) announce(describeTheme(choice, resolved));
+  document.dispatchEvent(new CustomEvent('theme:change', { detail: { theme: choice, resolved } }));
+  return resolved;
+}
+
+/**
+ * initTheme - apply the stored choice, reveal [data-theme-switcher] and follow OS and other-tab changes
+ * @returns {string} the current choice
+ */
+export function initTheme() {
+  setTheme(getTheme(), { persist: false, announce: false });
+
+  qsa(document, '[data-theme-switcher]').forEach((el) => { el.hidden = false; });
+  qsa(document, '[data-theme-select]').forEach((select) => {
+    on(select, 'change', () => setTheme(select.value), false);
+  });
+
+  // Re-resolve when the OS palette changes; only 'system' follows the color scheme
+  on(window.matchMedia(THEME.darkQuery), 'change', () => {
+    if (getTheme() === 'system') setTheme('system', { persist: false, announce: false });
+    else syncColorScheme();
+  });
+  on(window.matchMedia(THEME.contrastQuery), 'change', () => setTheme(getTheme(), { persist: false, announce: false }));
+  // A choice made in another tab
+  on(window, 'storage', (e) => {
+    if (e.key === THEME.storageKey) setTheme(getTheme(), { persist: false, announce: false });
+  });
+  return getTheme();
+}
+
+// Auto-init on DOM ready
+on(document, 'DOMContentLoaded', () => { initTheme(); });
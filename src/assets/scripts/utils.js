@@ -14,9 +14,11 @@ export function noOp() {}
  * @param {string} type
  * @param {EventListenerOrEventListenerObject} handler
  * @param {AddEventListenerOptions|boolean} [options]
+ * @returns {() => void} cleanup
  */
 export function on(target, type, handler, options = { passive: true }) {
   target.addEventListener(type, handler, options);
+  return () => target.removeEventListener(type, handler, options);
 }
 
 /**
@@ -132,6 +134,7 @@ export function isHighContrast() {
 const focusableSelectors = [
   'a[href]', 'area[href]', 'button:not([disabled])', 'input:not([disabled])',
   'select:not([disabled])', 'textarea:not([disabled])', 'iframe', 'object', 'embed',
+  'audio[controls]', 'video[controls]', 'summary',
   '[contenteditable]', '[tabindex]:not([tabindex="-1"])'
 ].join(',');
 
@@ -141,8 +144,9 @@ const focusableSelectors = [
  * @returns {HTMLElement[]}
  */
 export function getTabbables(root) {
+  // tabindex="-1" keeps natively focusable controls (e.g. roving-tabindex items) out of the tab order
   return qsa(root, focusableSelectors)
-    .filter((el) => el instanceof HTMLElement && el.offsetParent !== null);
+    .filter((el) => el instanceof HTMLElement && el.getAttribute('tabindex') !== '-1' && el.offsetParent !== null);
 }
 
 /**
@@ -226,13 +230,29 @@ export function getHashParam(key) {
   return params.get(key);
 }
 export function setHashParam(key, value) {
+  setHashParams({ [key]: value });
+}
+
+/**
+ * setHashParams - update several hash params in one history entry
+ * null/undefined values remove the key; other params are preserved.
+ * With { replace: true } the current entry is rewritten and no hashchange fires.
+ * @param {Record<string, string|number|null|undefined>} entries
+ * @param {{ replace?: boolean }} [options]
+ */
+export function setHashParams(entries, { replace = false } = {}) {
   const hash = window.location.hash.replace(/^#/, '');
   const params = new URLSearchParams(hash);
-  if (value == null) params.delete(key);
-  else params.set(key, value);
-  const newHash = params.toString();
-  if (newHash) window.location.hash = newHash;
-  else history.replaceState(null, '', window.location.pathname + window.location.search);
+  Object.entries(entries).forEach(([key, value]) => {
+    if (value == null) params.delete(key);
+    else params.set(key, String(value));
+  });
+  // Keep list separators readable in shared links (#tags=react,figma)
+  const newHash = params.toString().replace(/%2C/gi, ',');
+  if (newHash === hash) return;
+  const base = window.location.pathname + window.location.search;
+  if (newHash && !replace) window.location.hash = newHash;
+  else history.replaceState(history.state, '', newHash ? `${base}#${newHash}` : base);
 }
 
 /**
@@ -253,24 +273,3 @@ export function clamp(n, min, max) {
 }
 
 // END utils
-// utils.js - generic utilities (ESM)
-// TODO: Add helpers (debounce, throttle, qs, qsa, clamp, etc.)
-
-/**
- * noOp - a no-operation function placeholder
- * Useful for default callbacks.
- */
-export function noOp() {}
-
-/**
- * on - addEventListener shorthand with passive default
- * @param {Element|Window|Document} target
- * @param {string} type
- * @param {EventListenerOrEventListenerObject} handler
- * @param {AddEventListenerOptions|boolean} [options]
- */
-export function on(target, type, handler, options = { passive: true }) {
-  target.addEventListener(type, handler, options);
-}
-
-// TODO: export other utilities as they are needed
@@ -0,0 +1,96 @@
+// a11y-check.test.js - scripts/a11y-check.mjs rules against small fixtures
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { auditPage, auditContrast, parseColor, contrastRatio, runAudit } from '../scripts/a11y-check.mjs';
+
+let dir;
+const write = (name, text) => {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, text);
+  return file;
+};
+const rules = (issues) => issues.map(i => [i.rule, i.target]);
+
+const BAD_PAGE = `<!doctype html><html lang="en"><body>
+  <header><button type="button" id="menu">☰</button><a href="/" data-js="logo"><img src="logo.png"></a></header>
+  <main>
+    <h1>Title</h1>
+    <h3 id="dup">Skipped a level</h3>
+    <p id="dup">Again</p>
+    <button type="button" aria-controls="nowhere" aria-label="Open panel">Open</button>
+    <label for="missing-field">Orphan label</label>
+    <input id="q" type="search" placeholder="Search">
+    <button type="button" class="close"><span aria-hidden="true">✕</span></button>
+    <div aria-hidden="true"><button type="button">✕</button></div>
+  </main>
+</body></html>`;
+
+before(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11y-')); });
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe('page rules', () => {
+  it('flags each failure once with a stable target', () => {
+    assert.deepEqual(rules(auditPage(BAD_PAGE, 'bad.html')), [
+      ['img-alt', 'a[data-js="logo"] > img'],
+      ['link-name', 'a[data-js="logo"]'],
+      ['button-name', 'button#menu'],
+      ['button-name', 'button.close'],
+      ['heading-order', 'h3#dup'],
+      ['duplicate-id', 'p#dup'],
+      ['label', 'input#q'],
+      ['aria-ref', 'html > body > main > button'],
+      ['aria-ref', 'html > body > main > label']
+    ]);
+  });
+
+  it('accepts names from aria-label, labels, visually hidden text and alt', () => {
+    const html = `<!doctype html><body><h1>Ok</h1>
+      <button type="button" aria-label="Close">✕</button>
+      <button type="button"><span aria-hidden="true">☰</span><span class="visually-hidden">Menu</span></button>
+      <a href="/"><img src="a.png" alt="Home"></a>
+      <label>Name <input name="n"></label>
+      <span id="l">Email</span><input aria-labelledby="l">
+      <img src="deco.png" alt="">
+      <template><article><h3>Card</h3><img src="x.png" alt=""></article></template>
+    </body>`;
+    assert.deepEqual(auditPage(html, 'ok.html'), []);
+  });
+});
+
+describe('contrast', () => {
+  it('parses colors and computes WCAG ratios', () => {
+    assert.equal(contrastRatio(parseColor('#000'), parseColor('#fff')).toFixed(2), '21.00');
+    assert.equal(contrastRatio(parseColor('rgb(255 255 255 / 0)'), parseColor('#777')).toFixed(2), '1.00');
+    assert.equal(parseColor('Highlight'), null);
+  });
+
+  it('checks pairs per theme with var() resolved and @media blocks ignored', () => {
+    const css = `:root { --color-fg: #0b1020; --color-bg: #fff; --color-muted: #aaa; --surface-1: var(--color-bg); }
+      :root[data-theme="dark"] { --color-bg: #000; --surface-1: #000; --color-fg: #111; }
+      @media (forced-colors: active) { :root { --color-fg: CanvasText; } }`;
+    const issues = auditContrast(css, 'vars.css');
+    assert.ok(issues.some(i => i.target === 'light: --color-muted on --color-bg'), 'light muted text fails');
+    assert.ok(issues.some(i => i.target === 'dark: --color-fg on --color-bg'), 'dark body text fails');
+    assert.ok(!issues.some(i => i.target === 'light: --color-fg on --color-bg'), 'forced-colors block does not override :root');
+  });
+});
+
+describe('allowlist', () => {
+  it('moves matching issues aside, fails on the rest and reports stale entries', () => {
+    const page = write('page.html', '<!doctype html><body><h1>T</h1><button type="button" id="menu">☰</button><img src="a.png"></body>');
+    const variables = write('vars.css', ':root { --color-fg: #000; }');
+    const allowlist = write('allow.json', JSON.stringify([
+      { rule: 'button-name', target: 'button#menu', reason: 'tracked' },
+      { rule: 'img-alt', target: 'img#gone', reason: 'fixed long ago' }
+    ]));
+    const report = runAudit({ pages: [page], variables, allowlist });
+    assert.equal(report.ok, false);
+    assert.deepEqual(report.allowed.map(i => i.target), ['button#menu']);
+    assert.ok(report.issues.some(i => i.rule === 'img-alt'));
+    assert.deepEqual(report.stale.map(e => e.target), ['img#gone']);
+  });
+});
@@ -0,0 +1,147 @@
+// a11y.test.js - a11y.js helpers, the utils.js focus primitives they re-export, and module loading
+
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { loadPage, importScript, ready, tick, key, lastAnnouncement, srcRoot } from './helpers/dom.js';
+
+let a11y;
+let box;
+
+before(async () => {
+  loadPage();
+  a11y = await importScript('a11y.js');
+  await ready();
+});
+
+beforeEach(() => {
+  box?.remove();
+  box = document.createElement('div');
+  box.innerHTML = `
+    <button type="button" data-first>First</button>
+    <a href="#x">Link</a>
+    <button type="button" disabled>Disabled</button>
+    <button type="button" hidden>Hidden</button>
+    <input type="text" tabindex="-1">
+    <button type="button" data-last>Last</button>`;
+  document.body.appendChild(box);
+});
+
+describe('modules', () => {
+  // A duplicated declaration or a bad import in any script is a SyntaxError at load time
+  const scripts = fs.readdirSync(path.join(srcRoot, 'assets', 'scripts')).filter((name) => name.endsWith('.js'));
+  scripts.forEach((name) => {
+    it(`${name} loads`, async () => {
+      await assert.doesNotReject(importScript(name));
+    });
+  });
+});
+
+describe('announce', () => {
+  it('writes to a single polite live region after clearing it', async () => {
+    a11y.announce('Saved');
+    const regions = document.querySelectorAll('.visually-hidden[role="status"]');
+    assert.equal(regions.length, 1);
+    assert.equal(regions[0].getAttribute('aria-live'), 'polite');
+    assert.equal(lastAnnouncement(), '');
+    await tick();
+    assert.equal(lastAnnouncement(), 'Saved');
+  });
+
+  it('switches politeness when asked', async () => {
+    a11y.announce('Failed', 'assertive');
+    await tick();
+    assert.equal(document.querySelector('.visually-hidden[role="status"]').getAttribute('aria-live'), 'assertive');
+    a11y.announce('Back to normal');
+    assert.equal(document.querySelector('.visually-hidden[role="status"]').getAttribute('aria-live'), 'polite');
+  });
+});
+
+describe('focus helpers', () => {
+  it('getTabbables skips disabled, hidden and negative tabindex elements', () => {
+    const names = a11y.getTabbables(box).map((el) => el.textContent);
+    assert.deepEqual(names, ['First', 'Link', 'Last']);
+  });
+
+  it('focusFirst focuses the first tabbable, or the container when there is none', () => {
+    a11y.focusFirst(box);
+    assert.equal(document.activeElement, box.querySelector('[data-first]'));
+    const empty = document.createElement('div');
+    empty.tabIndex = -1;
+    box.appendChild(empty);
+    a11y.focusFirst(empty);
+    assert.equal(document.activeElement, empty);
+  });
+
+  it('rememberFocus and restoreFocus return to the captured element', () => {
+    const last = box.querySelector('[data-last]');
+    last.focus();
+    a11y.rememberFocus();
+    box.querySelector('[data-first]').focus();
+    a11y.restoreFocus();
+    assert.equal(document.activeElement, last);
+  });
+
+  it('setAriaPressed syncs aria-pressed and data-active', () => {
+    const btn = box.querySelector('[data-first]');
+    a11y.setAriaPressed(btn, true);
+    assert.equal(btn.getAttribute('aria-pressed'), 'true');
+    assert.equal(btn.hasAttribute('data-active'), true);
+    a11y.setAriaPressed(btn, false);
+    assert.equal(btn.getAttribute('aria-pressed'), 'false');
+    assert.equal(btn.hasAttribute('data-active'), false);
+  });
+});
+
+describe('trapFocus', () => {
+  it('focuses the first tabbable and wraps Tab and Shift+Tab', async () => {
+    const opener = document.createElement('button');
+    document.body.appendChild(opener);
+    opener.focus();
+    const release = a11y.trapFocus(box);
+    await tick(0);
+    const first = box.querySelector('[data-first]');
+    const last = box.querySelector('[data-last]');
+    assert.equal(document.activeElement, first);
+
+    last.focus();
+    assert.equal(key('Tab').defaultPrevented, true);
+    assert.equal(document.activeElement, first);
+    assert.equal(key('Tab', { shiftKey: true }).defaultPrevented, true);
+    assert.equal(document.activeElement, last);
+
+    release();
+    assert.equal(document.activeElement, opener, 'focus returns to the element focused before the trap');
+    last.focus();
+    assert.equal(key('Tab').defaultPrevented, false, 'no longer trapped after cleanup');
+    opener.remove();
+  });
+
+  it('pulls focus back when it is outside the container', async () => {
+    const outside = document.createElement('button');
+    document.body.appendChild(outside);
+    const release = a11y.trapFocus(box);
+    await tick(0);
+    outside.focus();
+    key('Tab');
+    assert.equal(document.activeElement, box.querySelector('[data-first]'));
+    release();
+    outside.remove();
+  });
+});
+
+describe('initFocusVisible', () => {
+  it('adds the helper class on keyboard use and removes it on pointer use', () => {
+    const root = document.documentElement;
+    window.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Tab' }));
+    assert.equal(root.classList.contains('js-focus-visible'), true);
+    window.dispatchEvent(new window.MouseEvent('mousedown'));
+    assert.equal(root.classList.contains('js-focus-visible'), false);
+  });
+
+  it('ignores modifier shortcuts', () => {
+    window.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'c', ctrlKey: true }));
+    assert.equal(document.documentElement.classList.contains('js-focus-visible'), false);
+  });
+});
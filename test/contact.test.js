@@ -0,0 +1,265 @@
+// contact.test.js - contact.js on the real form: inline validation, honeypot, rate limit, server errors, the send queue and drafts
+
+import { describe, it, before, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, importScript, tick } from './helpers/dom.js';
+
+let mod;
+let contact;
+let form;
+let requests;
+
+const field = (name) => form.querySelector(`[name="${name}"]`);
+const errorText = (name) => document.getElementById(`${name}-error`)?.textContent || '';
+const status = () => form.querySelector('[data-form-status]').textContent;
+
+const VALID = { name: 'Ada Lovelace', email: 'ada@example.com', message: 'A message that is long enough to send.' };
+
+function fill(values) {
+  Object.entries(values).forEach(([name, value]) => { field(name).value = value; });
+}
+
+async function submit() {
+  form.dispatchEvent(new window.Event('submit', { bubbles: true, cancelable: true }));
+  await tick();
+}
+
+/**
+ * respond - answer the next fetch() calls with a status and optional JSON body
+ */
+function respond(statusCode = 200, data = { ok: true }) {
+  globalThis.fetch = async (url, init) => {
+    requests.push({ url: String(url), body: String(init.body) });
+    return {
+      ok: statusCode >= 200 && statusCode < 300,
+      status: statusCode,
+      headers: { get: (name) => (name.toLowerCase() === 'content-type' ? 'application/json' : null) },
+      json: async () => data
+    };
+  };
+}
+
+before(async () => {
+  loadPage();
+  mod = await importScript('contact.js');
+  form = document.querySelector('[data-contact-form]');
+  // Constructed directly (no DOMContentLoaded) so the test holds the only instance
+  contact = new mod.ContactForm(form, { rateLimitMs: 0 });
+});
+
+beforeEach(() => {
+  localStorage.clear();
+  requests = [];
+  respond();
+  contact.rateLimitMs = 0;
+  contact.reset();
+  contact.setStatus('');
+});
+
+describe('validation', () => {
+  it('shows a message per invalid field, links it and focuses the first', async () => {
+    await submit();
+    assert.equal(errorText('name'), 'Name is required.');
+    assert.equal(errorText('email'), 'Email is required.');
+    assert.equal(errorText('message'), 'Message is required.');
+    assert.equal(field('name').getAttribute('aria-invalid'), 'true');
+    assert.ok(field('name').getAttribute('aria-describedby').split(' ').includes('name-error'));
+    assert.equal(document.activeElement, field('name'));
+    assert.equal(status(), 'Please fix the 3 highlighted fields.');
+    assert.equal(requests.length, 0);
+  });
+
+  it('checks the email format and minlength, and clears errors as fields are fixed', async () => {
+    fill({ ...VALID, email: 'ada@example', message: 'Too short' });
+    await submit();
+    assert.equal(errorText('email'), 'Enter an email address in the format name@example.com.');
+    assert.equal(errorText('message'), 'Message must be at least 20 characters (currently 9).');
+    assert.equal(field('name').hasAttribute('aria-invalid'), false);
+
+    field('email').value = VALID.email;
+    field('email').dispatchEvent(new window.Event('input', { bubbles: true }));
+    assert.equal(field('email').hasAttribute('aria-invalid'), false);
+    assert.equal(document.getElementById('email-error').hidden, true);
+  });
+});
+
+describe('submission', () => {
+  it('posts the fields urlencoded and resets on success', async () => {
+    fill(VALID);
+    await submit();
+    assert.equal(requests.length, 1);
+    assert.equal(new URL(requests[0].url).pathname, '/api/contact');
+    assert.equal(new URLSearchParams(requests[0].body).get('email'), VALID.email);
+    assert.equal(form.getAttribute('data-state'), 'success');
+    assert.equal(field('name').value, '');
+  });
+
+  it('fakes success without sending when the honeypot is filled', async () => {
+    fill({ ...VALID, website: 'https://spam.example' });
+    await submit();
+    assert.equal(requests.length, 0);
+    assert.equal(status(), 'Thanks! Your message has been sent.');
+    assert.equal(field('website').value, '');
+  });
+
+  it('refuses a second send inside the rate limit window', async () => {
+    contact.rateLimitMs = 30000;
+    fill(VALID);
+    await submit();
+    fill(VALID);
+    await submit();
+    assert.equal(requests.length, 1);
+    assert.equal(form.getAttribute('data-state'), 'error');
+    assert.match(status(), /^Please wait (29|30) seconds before sending another message\.$/);
+  });
+
+  it('shows server field errors on the matching fields', async () => {
+    respond(422, { ok: false, error: 'invalid', message: 'Please check the highlighted field.', fields: { email: 'Email domain does not accept mail.' } });
+    fill(VALID);
+    await submit();
+    assert.equal(errorText('email'), 'Email domain does not accept mail.');
+    assert.equal(field('email').getAttribute('aria-invalid'), 'true');
+    assert.equal(document.activeElement, field('email'));
+    assert.equal(status(), 'Please check the highlighted field.');
+    assert.equal(field('name').value, VALID.name, 'values are kept for a resend');
+  });
+
+  it('falls back to the generic error when the response has no field errors', async () => {
+    respond(500, { ok: false, message: 'Internal error' });
+    fill(VALID);
+    await submit();
+    assert.equal(form.getAttribute('data-state'), 'error');
+    assert.equal(status(), 'Sorry, your message could not be sent. Please try again in a moment.');
+  });
+});
+
+describe('send queue', () => {
+  const fail = (err) => {
+    globalThis.fetch = async (url, init) => {
+      requests.push({ url: String(url), body: String(init.body) });
+      throw err;
+    };
+  };
+  const queued = () => JSON.parse(localStorage.getItem('contact:queue') || '[]');
+  // jsdom always reports online; shadow the getter for the offline cases
+  const setOnline = (online) => {
+    if (online) delete navigator.onLine;
+    else Object.defineProperty(navigator, 'onLine', { configurable: true, get: () => false });
+  };
+
+  for (const [label, err] of [
+    ['a network TypeError', new TypeError('Failed to fetch')],
+    ['an aborted request', Object.assign(new Error('The operation was aborted.'), { name: 'AbortError' })]
+  ]) {
+    it(`queues the message after ${label} while still online`, async () => {
+      fail(err);
+      fill(VALID);
+      await submit();
+      clearTimeout(contact.retryTimer); // the retry is driven by hand below
+      assert.equal(navigator.onLine, true);
+      assert.equal(queued().length, 1);
+      assert.equal(form.getAttribute('data-state'), 'queued');
+      assert.equal(status(), 'The connection dropped. Your message is saved and will be sent automatically.');
+      assert.equal(field('name').value, VALID.name);
+
+      respond();
+      await contact.flushQueue();
+      assert.equal(queued().length, 0);
+      assert.equal(requests.length, 2);
+      assert.equal(status(), 'Thanks! Your saved message has been sent.');
+      assert.equal(field('name').value, '');
+    });
+  }
+
+  it('queues a send that gets no response before the timeout while still online', async () => {
+    globalThis.fetch = (url, init) => new Promise((resolve, reject) => {
+      requests.push({ url: String(url), body: String(init.body) });
+      init.signal.addEventListener('abort', () => reject(new window.DOMException('The operation was aborted.', 'AbortError')));
+    });
+    mock.timers.enable({ apis: ['setTimeout'] });
+    try {
+      fill(VALID);
+      const sending = contact.onSubmit(new window.Event('submit', { cancelable: true }));
+      assert.equal(form.getAttribute('data-state'), 'sending');
+      mock.timers.tick(15000);
+      await sending;
+    } finally {
+      clearTimeout(contact.retryTimer);
+      mock.timers.reset();
+    }
+    assert.equal(requests.length, 1);
+    assert.equal(queued().length, 1);
+    assert.equal(status(), 'The connection dropped. Your message is saved and will be sent automatically.');
+  });
+
+  it('queues without sending while the browser is offline', async () => {
+    setOnline(false);
+    try {
+      fill(VALID);
+      await submit();
+    } finally {
+      setOnline(true);
+    }
+    clearTimeout(contact.retryTimer);
+    assert.equal(requests.length, 0);
+    assert.deepEqual(queued().map((entry) => new URLSearchParams(entry.body).get('email')), [VALID.email]);
+    assert.equal(form.getAttribute('data-state'), 'queued');
+    assert.equal(status(), 'You are offline. Your message is saved and will be sent automatically when you reconnect.');
+  });
+
+  it('sends the queue when the browser comes back online', async () => {
+    setOnline(false);
+    try {
+      fill(VALID);
+      await submit();
+    } finally {
+      setOnline(true);
+    }
+    clearTimeout(contact.retryTimer);
+    window.dispatchEvent(new window.Event('online'));
+    await tick();
+    assert.equal(requests.length, 1);
+    assert.equal(new URLSearchParams(requests[0].body).get('message'), VALID.message);
+    assert.equal(queued().length, 0);
+    assert.equal(status(), 'Thanks! Your saved message has been sent.');
+  });
+
+  it('does not queue a message the server answered with an error', async () => {
+    respond(503, { ok: false });
+    fill(VALID);
+    await submit();
+    assert.equal(queued().length, 0);
+    assert.equal(form.getAttribute('data-state'), 'error');
+  });
+});
+
+describe('drafts', () => {
+  const draft = () => JSON.parse(localStorage.getItem('contact:draft:contact') || 'null');
+
+  it('saves the fields while typing, without the honeypot', async () => {
+    fill({ ...VALID, website: 'https://spam.example' });
+    field('message').dispatchEvent(new window.Event('input', { bubbles: true }));
+    assert.equal(draft(), null, 'saves are debounced');
+    await tick(600);
+    assert.deepEqual(draft().values, VALID);
+  });
+
+  it('restores the draft into a new instance and announces it', async () => {
+    fill(VALID);
+    window.dispatchEvent(new window.Event('pagehide'));
+    contact.destroy();
+    form.reset();
+    contact = new mod.ContactForm(form, { rateLimitMs: 0 });
+    assert.equal(field('name').value, VALID.name);
+    assert.equal(field('message').value, VALID.message);
+    assert.equal(status(), 'We restored your unsent draft.');
+  });
+
+  it('clears the draft once the message is sent', async () => {
+    fill(VALID);
+    window.dispatchEvent(new window.Event('pagehide'));
+    assert.ok(draft());
+    await submit();
+    assert.equal(draft(), null);
+  });
+});
@@ -0,0 +1,112 @@
+// contract-check.test.js - scripts/contract-check.mjs against small fixtures
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { extractSelectors, checkContract, formatReport } from '../scripts/contract-check.mjs';
+
+let dir;
+const write = (name, text) => {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, text);
+  return file;
+};
+
+before(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'contract-')); });
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe('extractSelectors', () => {
+  it('reads every query helper with its line', () => {
+    const source = [
+      "root.querySelector('[data-a], [data-b]');",
+      'qsa(document, "[data-c]");',
+      "this.delegate(grid, 'click', '[data-d] a', fn);",
+      "el.closest('.card'); el.matches('[data-e=\"x\"]');"
+    ].join('\n');
+    const { selectors } = extractSelectors(source, 'x.js');
+    assert.deepEqual(selectors.map(s => [s.selector, s.call, s.line]), [
+      ['[data-a], [data-b]', 'querySelector', 1],
+      ['[data-c]', 'qsa', 2],
+      ['[data-d] a', 'delegate', 3],
+      ['.card', 'closest', 4],
+      ['[data-e="x"]', 'matches', 4]
+    ]);
+  });
+
+  it('turns interpolated attribute values into presence tests and skips other interpolation', () => {
+    const source = 'root.querySelector(`[data-slot="${name}"]`); qs(root, `.${cls}`);';
+    const { selectors, dynamic } = extractSelectors(source, 'x.js');
+    assert.deepEqual(selectors.map(s => s.selector), ['[data-slot]']);
+    assert.equal(dynamic.length, 1);
+  });
+});
+
+describe('checkContract', () => {
+  it('reports drifted selectors, unread data attributes and broken IDREFs', () => {
+    const html = write('page.html', `<!doctype html><body>
+      <div data-filters><button aria-controls="missing-panel">All</button></div>
+      <ul data-grid data-unused><li class="gallery__item">One</li></ul>
+      <div data-styled></div>
+    </body>`);
+    const script = write('gallery.js', [
+      "const filters = root.querySelector('[data-gallery-filters]');",
+      "const grid = qs(document, '[data-grid]');",
+      "qsa(grid, '.gallery__item');",
+      "const chip = document.createElement('button'); chip.setAttribute('data-tag', 'x');",
+      "qsa(grid, '[data-tag]');"
+    ].join('\n'));
+    const style = write('style.css', '[data-styled] { color: red; }');
+    const report = checkContract({ html, scripts: [script], styles: [style], allowlist: null });
+
+    assert.equal(report.ok, false);
+    assert.deepEqual(report.selectors.unmatched.map(e => [e.selector, e.line]), [['[data-gallery-filters]', 1]]);
+    assert.deepEqual(report.selectors.runtime.map(e => e.selector), ['[data-tag]']);
+    assert.deepEqual(report.dataAttributes.unread.map(u => [u.attribute, u.styled]), [['data-filters', false], ['data-styled', true], ['data-unused', false]]);
+    assert.deepEqual(report.idrefs.broken.map(b => [b.attribute, b.id]), [['aria-controls', 'missing-panel']]);
+    assert.match(formatReport(report), /\[data-gallery-filters\] {2}\(querySelector in .*gallery\.js:1/);
+  });
+
+  it('counts only whole attribute names as reads', () => {
+    const html = write('names.html', '<!doctype html><body><div data-year data-card data-item data-panel data-open></div></body>');
+    const script = write('names.js', [
+      '// data-year is filled on load',
+      "qsa(document, '[data-card-title], .data-item');",
+      "const open = el.dataset.open; /* data-panel */",
+      "el.textContent = 'https://example.com/data-year';"
+    ].join('\n'));
+    const report = checkContract({ html, scripts: [script], styles: [], allowlist: null });
+    assert.deepEqual(report.dataAttributes.unread.map(u => u.attribute), ['data-card', 'data-item', 'data-panel', 'data-year']);
+  });
+
+  it('moves allowlisted findings to notes and lists stale entries', () => {
+    const html = write('allow.html', '<!doctype html><body><span data-year></span><button aria-controls="gone">Menu</button></body>');
+    const script = write('allow.js', "qs(document, '[data-gallery-count]');");
+    const allowlist = write('allowlist.json', JSON.stringify([
+      { rule: 'selector', target: '[data-gallery-count]', reason: 'optional hook' },
+      { rule: 'data-attribute', target: 'data-year', reason: 'placeholder' },
+      { rule: 'idref', target: 'aria-controls=gone', reason: 'fixture' },
+      { rule: 'selector', target: '[data-removed]', reason: 'no longer queried' }
+    ]));
+    const report = checkContract({ html, scripts: [script], styles: [], allowlist });
+
+    assert.equal(report.ok, true, 'stale entries do not fail the check');
+    assert.deepEqual(report.allowed.map(a => [a.rule, a.target]), [['selector', '[data-gallery-count]'], ['data-attribute', 'data-year'], ['idref', 'aria-controls=gone']]);
+    assert.deepEqual([report.selectors.unmatched, report.dataAttributes.unread, report.idrefs.broken], [[], [], []]);
+    assert.deepEqual(report.stale.map(e => e.target), ['[data-removed]']);
+    assert.match(formatReport(report), /no longer match anything \(remove them\):\n - selector: \[data-removed\]/);
+
+    const strict = checkContract({ html, scripts: [script], styles: [], allowlist: null });
+    assert.equal(strict.ok, false);
+    assert.deepEqual(strict.stale, []);
+  });
+
+  it('passes when every hook lines up', () => {
+    const html = write('ok.html', '<!doctype html><body><button aria-controls="p" data-toggle>Menu</button><div id="p"></div></body>');
+    const script = write('ok.js', "qs(document, '[data-toggle]');");
+    const report = checkContract({ html, scripts: [script], styles: [], allowlist: null });
+    assert.equal(report.ok, true);
+    assert.match(formatReport(report), /^Contract check passed/);
+  });
+});
@@ -0,0 +1,179 @@
+// gallery.test.js - gallery.js against the real markup and manifest: selector contract, filters, hash sync
+
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { loadPage, importScript, ready, tick, lastAnnouncement, srcRoot } from './helpers/dom.js';
+
+const manifest = JSON.parse(fs.readFileSync(path.join(srcRoot, 'assets', 'data', 'projects.json'), 'utf8')).projects;
+
+let gallery;
+
+const cards = () => [...document.querySelectorAll('[data-gallery-item]')];
+const visibleIds = () => cards().filter((card) => !card.hasAttribute('data-hidden')).map((card) => card.dataset.id);
+const filterButton = (value) => document.querySelector(`[data-filter="${value}"]`);
+const click = (el) => el.dispatchEvent(new window.MouseEvent('click', { bubbles: true, cancelable: true }));
+
+before(async () => {
+  loadPage();
+  const mod = await importScript('gallery.js');
+  await ready(50);
+  [gallery] = await mod.initGallery();
+});
+
+beforeEach(() => {
+  // Back to the default view: no hash, featured order, empty search
+  history.replaceState(null, '', location.pathname);
+  gallery.refs.searchInput.value = '';
+  gallery.applyFromHash();
+});
+
+describe('markup contract', () => {
+  it('finds every control gallery.js enhances', () => {
+    const required = ['grid', 'filters', 'tagFilters', 'tagList', 'tagMode', 'search', 'searchInput', 'empty', 'sort', 'sortSelect', 'template', 'loadMore'];
+    required.forEach((name) => assert.ok(gallery.refs[name], `refs.${name} matched the markup`));
+  });
+
+  it('reveals the controls that ship hidden for the no-JS page', () => {
+    assert.equal(gallery.refs.search.hidden, false);
+    assert.equal(gallery.refs.sort.hidden, false);
+    assert.equal(gallery.refs.tagFilters.hidden, false);
+  });
+});
+
+describe('manifest render', () => {
+  it('renders one card per project in featured order with data-index in visual order', () => {
+    const byRank = manifest.slice().sort((a, b) => a.featured - b.featured).map((p) => p.id);
+    assert.deepEqual(cards().map((card) => card.dataset.id), byRank);
+    cards().forEach((card, i) => assert.equal(card.querySelector('[data-index]').getAttribute('data-index'), String(i)));
+  });
+
+  it('builds a tag chip for every tag in the manifest', () => {
+    const tags = [...new Set(manifest.flatMap((p) => p.tags))].sort();
+    const chips = [...gallery.refs.tagList.querySelectorAll('[data-tag]')].map((btn) => btn.dataset.tag);
+    assert.deepEqual(chips, tags);
+  });
+});
+
+describe('category filters', () => {
+  it('keeps exactly one button pressed', () => {
+    click(filterButton('web'));
+    const pressed = [...document.querySelectorAll('[data-filter]')].filter((btn) => btn.getAttribute('aria-pressed') === 'true');
+    assert.deepEqual(pressed, [filterButton('web')]);
+    click(filterButton('all'));
+    assert.equal(filterButton('all').getAttribute('aria-pressed'), 'true');
+    assert.equal(filterButton('web').getAttribute('aria-pressed'), 'false');
+  });
+
+  it('hides items outside the category and announces the count', async () => {
+    click(filterButton('web'));
+    assert.deepEqual(visibleIds(), manifest.filter((p) => p.category === 'web').map((p) => p.id));
+    await tick();
+    assert.equal(lastAnnouncement(), '1 items in web shown');
+  });
+
+  it('shows the empty state when nothing matches', () => {
+    gallery.updateQuery({ search: 'no such project' });
+    assert.deepEqual(visibleIds(), []);
+    assert.equal(gallery.refs.empty.hidden, false);
+    gallery.updateQuery({ search: '' });
+    assert.equal(gallery.refs.empty.hidden, true);
+  });
+});
+
+describe('tags, search and sort', () => {
+  it('tag chips toggle and narrow the items', () => {
+    const chip = gallery.refs.tagList.querySelector('[data-tag="react"]');
+    click(chip);
+    assert.equal(chip.getAttribute('aria-pressed'), 'true');
+    assert.deepEqual(visibleIds(), ['project-alpha']);
+    click(chip);
+    assert.equal(chip.getAttribute('aria-pressed'), 'false');
+    assert.equal(visibleIds().length, manifest.length);
+  });
+
+  it('search is debounced and replaces the history entry', async () => {
+    const length = history.length;
+    const input = gallery.refs.searchInput;
+    input.value = 'beta';
+    input.dispatchEvent(new window.Event('input', { bubbles: true }));
+    assert.equal(visibleIds().length, manifest.length, 'not applied before the debounce');
+    await tick(300);
+    assert.deepEqual(visibleIds(), ['project-beta']);
+    assert.match(location.hash, /q=beta/);
+    assert.equal(history.length, length);
+  });
+
+  it('sorting reorders the cards and announces the order', async () => {
+    const select = gallery.refs.sortSelect;
+    select.value = 'newest';
+    select.dispatchEvent(new window.Event('change', { bubbles: true }));
+    const newest = manifest.slice().sort((a, b) => b.date.localeCompare(a.date)).map((p) => p.id);
+    assert.deepEqual(cards().map((card) => card.dataset.id), newest);
+    assert.match(location.hash, /sort=newest/);
+    await tick();
+    assert.equal(lastAnnouncement(), 'Sorted by newest first');
+  });
+});
+
+describe('hash sync', () => {
+  it('writes the query to the hash', () => {
+    click(filterButton('photo'));
+    assert.equal(location.hash, '#category=photo');
+    click(filterButton('all'));
+    assert.equal(location.hash, '');
+  });
+
+  it('applies back/forward and pasted hashes', async () => {
+    location.hash = 'category=ui';
+    await tick();
+    assert.equal(filterButton('ui').getAttribute('aria-pressed'), 'true');
+    assert.deepEqual(visibleIds(), ['project-beta']);
+  });
+
+  it('reads legacy #filter= links as a category', async () => {
+    location.hash = 'filter=photo';
+    await tick();
+    assert.equal(filterButton('photo').getAttribute('aria-pressed'), 'true');
+  });
+
+  it('announces the total match count and pages with one change per Load more', async () => {
+    gallery.state.pageSize = 1;
+    click(filterButton('all'));
+    await tick();
+    assert.equal(lastAnnouncement(), `${manifest.length} items found, 1 shown`);
+    let changes = 0;
+    const count = () => { changes += 1; };
+    gallery.refs.grid.addEventListener('gallery:change', count);
+    click(gallery.refs.loadMore);
+    gallery.refs.grid.removeEventListener('gallery:change', count);
+    gallery.state.pageSize = 12;
+    assert.equal(changes, 1);
+    assert.equal(visibleIds().length, 2);
+    assert.equal(document.activeElement, cards()[1].querySelector('a'));
+  });
+
+  it('ignores hash params it does not own', async () => {
+    click(filterButton('web'));
+    await tick();
+    let changes = 0;
+    const count = () => { changes += 1; };
+    gallery.refs.grid.addEventListener('gallery:change', count);
+    location.hash = 'category=web&view=project-alpha';
+    await tick();
+    gallery.refs.grid.removeEventListener('gallery:change', count);
+    assert.equal(changes, 0);
+  });
+});
+
+describe('lightbox hand-off', () => {
+  it('opens with the position among visible items', () => {
+    click(filterButton('photo'));
+    let detail = null;
+    document.addEventListener('lightbox:open', (e) => { detail = e.detail; }, { once: true });
+    click(cards().find((card) => card.dataset.id === 'studio-portraits').querySelector('a'));
+    assert.equal(detail.index, 0);
+    assert.deepEqual(detail.items.map((card) => card.dataset.id), ['studio-portraits']);
+  });
+});
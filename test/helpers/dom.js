@@ -0,0 +1,150 @@
+// dom.js - jsdom page loader for the node:test suites
+// Loads src/index.html without its module scripts and exposes the window as globals so the ESM modules
+// under src/assets/scripts can be imported unchanged. One page per test file: the modules keep
+// module-level state (lightbox registry, live region node), so tests in a file share the page.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import url from 'node:url';
+import { JSDOM } from 'jsdom';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+export const repoRoot = path.resolve(__dirname, '..', '..');
+export const srcRoot = path.join(repoRoot, 'src');
+export const scriptsUrl = url.pathToFileURL(path.join(srcRoot, 'assets', 'scripts')).href;
+
+// Window properties the modules reach for as bare globals
+const GLOBALS = [
+  'window', 'document', 'navigator', 'location', 'history', 'localStorage', 'getComputedStyle',
+  'requestAnimationFrame', 'cancelAnimationFrame', 'matchMedia',
+  'Node', 'Element', 'HTMLElement', 'HTMLImageElement', 'HTMLTemplateElement', 'HTMLFormElement',
+  'HTMLInputElement', 'HTMLVideoElement', 'HTMLIFrameElement', 'DocumentFragment', 'Image', 'FormData',
+  'Event', 'CustomEvent', 'KeyboardEvent', 'MouseEvent', 'FocusEvent', 'MessageEvent'
+];
+
+/**
+ * isRendered - stand-in for layout: hidden or display:none on the element or an ancestor hides it
+ */
+function isRendered(el) {
+  for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+    if (node.hidden || node.style?.display === 'none') return false;
+  }
+  return true;
+}
+
+// matchMedia state for the current page; setMedia() changes it and notifies 'change' listeners
+let mediaState = {};
+const mediaListeners = new Set();
+const mediaMatches = (query) => Object.entries(mediaState).some(([key, value]) => value && query.includes(key));
+
+/**
+ * setMedia - flip a media feature (same keys as loadPage's media option) and fire 'change' on matching queries
+ * @param {string} feature e.g. 'prefers-color-scheme: dark'
+ * @param {boolean} value
+ */
+export function setMedia(feature, value) {
+  mediaState[feature] = value;
+  [...mediaListeners].filter(({ query }) => query.includes(feature)).forEach(({ query, fn }) => fn({ matches: mediaMatches(query), media: query }));
+}
+
+/**
+ * loadPage - build the page and install globals
+ * @param {{ hash?: string, media?: Record<string, boolean>, html?: (html: string) => string }} [options]
+ *   media: matchMedia results by query substring, e.g. { 'prefers-reduced-motion': true }
+ *   html: transform the markup before parsing (e.g. to add a second gallery)
+ */
+export function loadPage({ hash = '', media = {}, html: transform } = {}) {
+  let html = fs.readFileSync(path.join(srcRoot, 'index.html'), 'utf8')
+    .replace(/<script type="module"[^>]*><\/script>/g, '');
+  if (transform) html = transform(html);
+
+  const dom = new JSDOM(html, { url: `http://localhost/index.html${hash}`, pretendToBeVisual: true });
+  const { window } = dom;
+
+  mediaState = { ...media };
+  mediaListeners.clear();
+  window.matchMedia = (query) => ({
+    get matches() { return mediaMatches(query); },
+    media: query,
+    addEventListener(type, fn) { if (type === 'change') mediaListeners.add({ query, fn }); },
+    removeEventListener(type, fn) {
+      mediaListeners.forEach((entry) => { if (entry.fn === fn) mediaListeners.delete(entry); });
+    }
+  });
+  // jsdom has no layout: derive offsetParent from visibility so getTabbables() behaves
+  Object.defineProperty(window.HTMLElement.prototype, 'offsetParent', {
+    configurable: true,
+    get() { return isRendered(this) ? this.parentElement || this.ownerDocument.body : null; }
+  });
+  window.HTMLImageElement.prototype.decode = function () {
+    return this.getAttribute('src')?.includes('missing') ? Promise.reject(new Error('decode failed')) : Promise.resolve();
+  };
+  window.Element.prototype.scrollIntoView = function () {};
+  window.HTMLMediaElement.prototype.pause = function () { this.dispatchEvent(new window.Event('pause')); };
+
+  for (const key of GLOBALS) {
+    Object.defineProperty(globalThis, key, { value: window[key], configurable: true, writable: true });
+  }
+  // Serve the site's own files (the projects manifest); anything else is a 404
+  globalThis.fetch = async (input) => {
+    const { pathname } = new URL(String(input), window.location.href);
+    const file = path.join(srcRoot, decodeURIComponent(pathname));
+    if (!file.startsWith(srcRoot) || !fs.existsSync(file) || fs.statSync(file).isDirectory()) {
+      return { ok: false, status: 404, json: async () => { throw new Error('Not found'); } };
+    }
+    const text = fs.readFileSync(file, 'utf8');
+    return { ok: true, status: 200, json: async () => JSON.parse(text), text: async () => text };
+  };
+
+  return dom;
+}
+
+/**
+ * importScript - import a module from src/assets/scripts
+ * @param {string} name e.g. 'gallery.js'
+ */
+export function importScript(name) {
+  return import(`${scriptsUrl}/${name}`);
+}
+
+/**
+ * ready - fire DOMContentLoaded for the auto-init hooks and let async setup settle
+ */
+export async function ready(ms = 30) {
+  document.dispatchEvent(new window.Event('DOMContentLoaded'));
+  await tick(ms);
+}
+
+export const tick = (ms = 20) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * lastAnnouncement - current text of the shared live region (liveRegion() sets it after 10ms)
+ */
+export function lastAnnouncement() {
+  return document.querySelector('.visually-hidden[role="status"]')?.textContent || '';
+}
+
+/**
+ * key - dispatch a keydown on target (default: the focused element)
+ */
+export function key(name, { target = document.activeElement || document.body, shiftKey = false } = {}) {
+  const event = new window.KeyboardEvent('keydown', { key: name, shiftKey, bubbles: true, cancelable: true });
+  target.dispatchEvent(event);
+  return event;
+}
+
+/**
+ * recordAnnouncements - collect every message the shared live region shows until stop()
+ * @returns {{ messages: string[], stop: () => void }}
+ */
+export function recordAnnouncements() {
+  const messages = [];
+  let seen = lastAnnouncement(); // whatever was already showing is not a new announcement
+  const observer = new window.MutationObserver(() => {
+    const text = lastAnnouncement();
+    if (text && text !== seen) messages.push(text);
+    seen = text;
+  });
+  observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+  return { messages, stop: () => observer.disconnect() };
+}
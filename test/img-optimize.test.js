@@ -0,0 +1,134 @@
+// img-optimize.test.js - scripts/img-optimize.mjs on generated originals, and gallery.js reading its manifest
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import sharp from 'sharp';
+import { IMAGES, targetWidths, optimizeImages } from '../scripts/img-optimize.mjs';
+import { loadPage, importScript, ready } from './helpers/dom.js';
+
+let dir;
+let config;
+
+// Small widths keep the AVIF encodes quick; the shape of the run is the same as with the real ones
+const testConfig = (root) => ({
+  ...IMAGES,
+  input: path.join(root, 'assets', 'images', 'full'),
+  root,
+  manifest: path.join(root, 'assets', 'data', 'images.json'),
+  profiles: {
+    thumb: { ...IMAGES.profiles.thumb, dir: path.join(root, 'assets', 'images', 'thumbnails'), widths: [160, 320] },
+    hero: { dir: path.join(root, 'assets', 'images', 'hero'), widths: [320, 640] }
+  }
+});
+
+const quiet = () => {};
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'img-optimize-'));
+  config = testConfig(dir);
+  fs.mkdirSync(config.input, { recursive: true });
+  // 480×360 camera shot carrying EXIF (including a GPS-ish tag) that must not reach the outputs
+  await sharp({ create: { width: 480, height: 360, channels: 3, background: '#3366cc' } })
+    .withExif({ IFD0: { Make: 'TestCam', Copyright: 'secret' }, IFD3: { GPSLatitudeRef: 'N' } })
+    .jpeg()
+    .toFile(path.join(config.input, 'sample-1.jpg'));
+});
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe('targetWidths', () => {
+  it('never upscales and adds the original width when it falls short', () => {
+    assert.deepEqual(targetWidths([320, 640, 960], 2000), [320, 640, 960]);
+    assert.deepEqual(targetWidths([640, 320, 960], 800), [320, 640, 800]);
+    assert.deepEqual(targetWidths([320, 640], 640), [320, 640]);
+    assert.deepEqual(targetWidths([320, 640], 200), [200]);
+  });
+});
+
+describe('optimizeImages', () => {
+  let manifest;
+
+  before(async () => {
+    ({ manifest } = await optimizeImages({ config, log: quiet }));
+  });
+
+  it('writes every profile width in every format, with site-relative paths', () => {
+    const entry = manifest.images['sample-1.jpg'];
+    assert.equal(entry.width, 480);
+    assert.equal(entry.height, 360);
+    assert.equal(entry.variants.thumb.sizes, IMAGES.profiles.thumb.sizes);
+    assert.deepEqual(entry.variants.thumb.formats.jpeg, [
+      { src: './assets/images/thumbnails/sample-1-160.jpg', width: 160, height: 120 },
+      { src: './assets/images/thumbnails/sample-1-320.jpg', width: 320, height: 240 }
+    ]);
+    assert.deepEqual(entry.variants.hero.formats.avif.map(v => v.width), [320, 480]);
+    for (const format of ['avif', 'webp', 'jpeg']) {
+      entry.variants.hero.formats[format].forEach(v => assert.ok(fs.existsSync(path.join(dir, v.src)), v.src));
+    }
+    assert.match(entry.placeholder, /^data:image\/webp;base64,/);
+    assert.deepEqual(JSON.parse(fs.readFileSync(config.manifest, 'utf8')), manifest);
+  });
+
+  it('strips EXIF from the outputs', async () => {
+    const meta = await sharp(path.join(dir, 'assets/images/hero/sample-1-320.jpg')).metadata();
+    assert.equal(meta.exif, undefined);
+    assert.equal(meta.xmp, undefined);
+  });
+
+  it('skips unchanged originals and reprocesses when forced or when a variant is missing', async () => {
+    assert.deepEqual((await optimizeImages({ config, log: quiet })).skipped, ['sample-1.jpg']);
+    assert.deepEqual((await optimizeImages({ config, force: true, log: quiet })).processed, ['sample-1.jpg']);
+    fs.rmSync(path.join(dir, 'assets/images/thumbnails/sample-1-160.webp'));
+    assert.deepEqual((await optimizeImages({ config, log: quiet })).processed, ['sample-1.jpg']);
+  });
+});
+
+describe('gallery.js with data-image-manifest', () => {
+  let card;
+
+  before(async () => {
+    loadPage({ html: (html) => html.replace('data-manifest=', 'data-image-manifest="./assets/data/images.json" data-manifest=') });
+    // The page's own fetch serves src/; answer the image manifest from the run above
+    const pageFetch = globalThis.fetch;
+    globalThis.fetch = async (input) => (String(input).endsWith('/images.json')
+      ? { ok: true, status: 200, json: async () => JSON.parse(fs.readFileSync(config.manifest, 'utf8')) }
+      : pageFetch(input));
+    const mod = await importScript('gallery.js');
+    await ready(50);
+    await mod.initGallery();
+    card = document.querySelector('[data-gallery-item][data-id="project-alpha"]');
+  });
+
+  it('uses the optimized thumbnails, sizes and placeholder on the card', () => {
+    const img = card.querySelector('img');
+    assert.equal(img.getAttribute('src'), './assets/images/thumbnails/sample-1-320.jpg');
+    assert.equal(img.getAttribute('srcset'), './assets/images/thumbnails/sample-1-160.jpg 160w, ./assets/images/thumbnails/sample-1-320.jpg 320w');
+    assert.equal(img.getAttribute('sizes'), IMAGES.profiles.thumb.sizes);
+    assert.match(img.style.backgroundImage, /data:image\/webp;base64,/);
+  });
+
+  it('offers the AVIF and WebP thumbnails as <picture> sources ahead of the JPEG', () => {
+    const sources = [...card.querySelectorAll('picture > source')];
+    assert.deepEqual(sources.map(s => [s.getAttribute('type'), s.getAttribute('srcset'), s.getAttribute('sizes')]), [
+      ['image/avif', './assets/images/thumbnails/sample-1-160.avif 160w, ./assets/images/thumbnails/sample-1-320.avif 320w', IMAGES.profiles.thumb.sizes],
+      ['image/webp', './assets/images/thumbnails/sample-1-160.webp 160w, ./assets/images/thumbnails/sample-1-320.webp 320w', IMAGES.profiles.thumb.sizes]
+    ]);
+    assert.equal(card.querySelector('picture > img:last-child'), card.querySelector('img'));
+  });
+
+  it('hands the hero variants to the lightbox', () => {
+    assert.equal(card.querySelector('[data-lightbox]').getAttribute('href'), './assets/images/hero/sample-1-480.jpg');
+    assert.equal(card.getAttribute('data-full-avif'), './assets/images/hero/sample-1-320.avif 320w, ./assets/images/hero/sample-1-480.avif 480w');
+    assert.equal(card.getAttribute('data-full-width'), '480');
+  });
+
+  it('leaves projects without a manifest entry alone', () => {
+    const other = document.querySelector('[data-gallery-item][data-id="project-beta"] img');
+    assert.equal(other.getAttribute('src'), './assets/images/thumbnails/sample-2.jpg');
+    assert.equal(other.getAttribute('srcset'), './assets/images/thumbnails/sample-2.jpg 480w');
+    assert.equal(other.style.backgroundImage, '');
+    assert.equal(other.closest('picture').querySelector('source'), null);
+  });
+});
@@ -0,0 +1,443 @@
+// lightbox.test.js - docs/lightbox-smoke-checklist.md as automated checks (one page for the whole file)
+
+import { describe, it, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, importScript, ready, tick, key, lastAnnouncement, recordAnnouncements } from './helpers/dom.js';
+
+let lightbox;
+let root;
+let utils;
+
+const $ = (sel) => root.querySelector(sel);
+const counter = () => $('[data-lightbox-counter]').textContent;
+const caption = () => $('[data-lightbox-caption]').textContent;
+const cards = () => [...document.querySelectorAll('[data-gallery-item]')];
+const trigger = (i) => cards()[i].querySelector('a');
+const click = (el) => el.dispatchEvent(new window.MouseEvent('click', { bubbles: true, cancelable: true }));
+
+async function openAt(i = 0) {
+  trigger(i).focus();
+  click(trigger(i));
+  await tick();
+}
+
+before(async () => {
+  loadPage();
+  utils = await importScript('utils.js');
+  await importScript('a11y.js');
+  const lb = await importScript('lightbox.js');
+  await importScript('gallery.js');
+  await ready(50);
+  [lightbox] = lb.initLightbox();
+  root = lightbox.refs.root;
+});
+
+afterEach(async () => {
+  lightbox.close();
+  await tick();
+});
+
+describe('basic open/close', () => {
+  it('opens from a gallery item with the dialog shown', async () => {
+    await openAt(0);
+    assert.equal(root.hidden, false);
+    assert.equal(root.getAttribute('data-open'), 'true');
+    assert.equal(root.getAttribute('aria-modal'), 'true');
+  });
+
+  it('moves focus into the dialog', async () => {
+    await openAt(0);
+    assert.ok($('[data-js="lightbox-dialog"]').contains(document.activeElement));
+  });
+
+  it('announces opening and closing', async () => {
+    const rec = recordAnnouncements();
+    await openAt(0);
+    lightbox.close();
+    await tick();
+    rec.stop();
+    assert.ok(rec.messages.includes('Image viewer opened'), rec.messages.join(' | '));
+    assert.equal(rec.messages.at(-1), 'Image viewer closed');
+  });
+
+  it('closes on Escape and returns focus to the opener', async () => {
+    await openAt(1);
+    const event = key('Escape');
+    await tick();
+    assert.equal(event.defaultPrevented, true);
+    assert.equal(root.hidden, true);
+    assert.equal(document.activeElement, trigger(1));
+  });
+
+  it('closes from the close button with preventDefault', async () => {
+    await openAt(0);
+    const notPrevented = click($('button[data-close]'));
+    assert.equal(notPrevented, false);
+    assert.equal(root.hidden, true);
+  });
+});
+
+describe('navigation', () => {
+  it('next and prev buttons wrap around', async () => {
+    await openAt(0);
+    const total = cards().length;
+    assert.equal(counter(), `1 / ${total}`);
+    click($('[data-prev]'));
+    assert.equal(counter(), `${total} / ${total}`);
+    click($('[data-next]'));
+    assert.equal(counter(), `1 / ${total}`);
+  });
+
+  it('arrow keys navigate and prevent scrolling', async () => {
+    await openAt(0);
+    const right = key('ArrowRight');
+    assert.equal(right.defaultPrevented, true);
+    assert.equal(counter(), `2 / ${cards().length}`);
+    const left = key('ArrowLeft');
+    assert.equal(left.defaultPrevented, true);
+    assert.equal(counter(), `1 / ${cards().length}`);
+  });
+
+  it('play and pause are announced and reflected on the button', async () => {
+    await openAt(0);
+    const play = $('[data-lightbox-play]');
+    assert.equal(play.hidden, false);
+    click(play);
+    await tick();
+    assert.equal(root.getAttribute('data-slideshow'), 'playing');
+    assert.equal(play.getAttribute('aria-label'), 'Pause slideshow');
+    assert.equal(lastAnnouncement(), 'Slideshow playing');
+    click(play);
+    await tick();
+    assert.equal(root.hasAttribute('data-slideshow'), false);
+    assert.equal(lastAnnouncement(), 'Slideshow paused');
+  });
+
+  it('holds the slideshow while hovered, focused elsewhere or hidden', async () => {
+    await openAt(0);
+    lightbox.play({ announce: false });
+    const dialog = $('[data-js="lightbox-dialog"]');
+    const enter = new window.MouseEvent('pointerenter');
+    Object.defineProperty(enter, 'pointerType', { value: 'mouse' });
+    dialog.dispatchEvent(enter);
+    assert.ok(lightbox.slideshow.holds.has('hover'));
+    assert.equal(lightbox.slideshow.timer, null);
+    $('[data-next]').focus();
+    assert.ok(lightbox.slideshow.holds.has('focus'));
+    Object.defineProperty(document, 'hidden', { value: true, configurable: true });
+    document.dispatchEvent(new window.Event('visibilitychange'));
+    assert.ok(lightbox.slideshow.holds.has('hidden'));
+    delete document.hidden;
+  });
+
+  it('toggles the info panel from the button and the i key', async () => {
+    await openAt(0);
+    const toggle = $('[data-lightbox-info-toggle]');
+    const info = $('[data-lightbox-info]');
+    assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+    key('i');
+    await tick();
+    assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+    assert.equal(info.hidden, false);
+    assert.equal(lastAnnouncement(), 'Project info shown');
+    assert.match(info.textContent, /Project Alpha/);
+    click(toggle);
+    assert.equal(info.hidden, true);
+  });
+
+  it('shows HTML in data-description as literal text', async () => {
+    const card = cards()[0];
+    const original = card.getAttribute('data-description');
+    card.setAttribute('data-description', '<img src=x onerror=alert(1)>');
+    await openAt(0);
+    lightbox.toggleInfo(true);
+    const info = $('[data-lightbox-info]');
+    assert.equal(info.querySelector('img[onerror]'), null);
+    assert.match(info.textContent, /<img src=x onerror=alert\(1\)>/);
+    lightbox.close();
+    if (original === null) card.removeAttribute('data-description');
+    else card.setAttribute('data-description', original);
+  });
+
+  it('filmstrip keeps one tab stop and moves the viewer with arrows, Home and End', async () => {
+    await openAt(0);
+    const options = () => [...$('[data-lightbox-filmstrip]').querySelectorAll('[role="option"]')];
+    assert.equal(options().filter((o) => o.tabIndex === 0).length, 1);
+    options()[0].focus();
+    key('ArrowRight');
+    assert.equal(counter(), `2 / ${cards().length}`);
+    assert.equal(options()[1].getAttribute('aria-selected'), 'true');
+    assert.equal(document.activeElement, options()[1]);
+    key('End');
+    assert.equal(counter(), `${cards().length} / ${cards().length}`);
+    key('Home');
+    assert.equal(counter(), `1 / ${cards().length}`);
+  });
+});
+
+describe('content updates', () => {
+  it('updates image source, caption and counter per item', async () => {
+    await openAt(0);
+    assert.match($('[data-lightbox-image]').getAttribute('src'), /full\/sample-1\.jpg$/);
+    assert.equal(caption(), 'Project Alpha');
+    lightbox.next();
+    assert.equal(caption(), cards()[1].querySelector('.card__caption').textContent);
+  });
+
+  it('announces "Image X of Y, caption" once the image has decoded', async () => {
+    await openAt(0);
+    lightbox.next();
+    assert.equal(root.getAttribute('data-state'), 'loading');
+    await tick();
+    assert.equal(root.getAttribute('data-state'), 'ready');
+    assert.equal(lastAnnouncement(), `Image 2 of ${cards().length}, ${caption()}`);
+  });
+
+  it('shows the error state and retries a missing image', async () => {
+    // Item attributes live on the card (data-full wins over the link href)
+    const card = cards()[1];
+    const full = card.getAttribute('data-full');
+    card.setAttribute('data-full', './assets/images/full/missing.jpg');
+    await openAt(1);
+    assert.equal(root.getAttribute('data-state'), 'error');
+    assert.equal($('[data-lightbox-error]').hidden, false);
+    card.setAttribute('data-full', full);
+    click($('[data-lightbox-retry]'));
+    await tick();
+    assert.equal(root.getAttribute('data-state'), 'ready');
+  });
+
+  it('renders video, iframe and html slides, and stops media on navigation', async () => {
+    const card = cards()[0];
+    const full = card.getAttribute('data-full');
+    card.setAttribute('data-type', 'video');
+    card.setAttribute('data-full', './assets/video/demo.mp4');
+    await openAt(0);
+    const video = $('[data-lightbox-embed] video');
+    assert.ok(video, 'video rendered');
+    assert.equal(video.controls, true);
+    assert.ok(utils.getTabbables($('[data-js="lightbox-dialog"]')).includes(video), 'video controls are tabbable');
+    let paused = false;
+    video.pause = () => { paused = true; };
+    lightbox.next();
+    assert.equal(paused, true);
+    lightbox.close();
+
+    card.setAttribute('data-type', 'iframe');
+    card.setAttribute('data-full', 'https://example.com/embed');
+    await openAt(0);
+    const iframe = $('[data-lightbox-embed] iframe');
+    assert.ok(iframe, 'iframe rendered');
+    assert.equal(iframe.getAttribute('sandbox'), 'allow-scripts');
+    lightbox.close();
+
+    card.removeAttribute('data-type');
+    card.setAttribute('data-full', full);
+  });
+});
+
+describe('focus management', () => {
+  it('traps Tab and Shift+Tab inside the dialog', async () => {
+    await openAt(0);
+    const dialog = $('[data-js="lightbox-dialog"]');
+    const tabbables = utils.getTabbables(dialog);
+    tabbables.at(-1).focus();
+    assert.equal(key('Tab').defaultPrevented, true);
+    assert.equal(document.activeElement, tabbables[0]);
+    assert.equal(key('Tab', { shiftKey: true }).defaultPrevented, true);
+    assert.equal(document.activeElement, tabbables.at(-1));
+  });
+
+  it('keeps tabindex=-1 controls in html slides out of the trap', async () => {
+    const card = cards()[0];
+    const tpl = document.createElement('template');
+    tpl.id = 'tabindex-slide';
+    tpl.innerHTML = '<a href="#skipped" tabindex="-1">Skipped</a><button type="button">Details</button>';
+    document.body.appendChild(tpl);
+    card.setAttribute('data-type', 'html');
+    card.setAttribute('data-template', '#tabindex-slide');
+    await openAt(0);
+    const tabbables = utils.getTabbables($('[data-js="lightbox-dialog"]'));
+    const slide = $('[data-lightbox-embed]');
+    assert.ok(tabbables.includes(slide.querySelector('button')), 'slide button is tabbable');
+    assert.equal(tabbables.includes(slide.querySelector('a')), false);
+    lightbox.close();
+    card.removeAttribute('data-type');
+    card.removeAttribute('data-template');
+    tpl.remove();
+  });
+
+  it('pulls focus back in when it escaped the dialog', async () => {
+    await openAt(0);
+    const tabbables = utils.getTabbables($('[data-js="lightbox-dialog"]'));
+    document.querySelector('.skip-link').focus();
+    key('Tab');
+    assert.equal(document.activeElement, tabbables[0]);
+  });
+});
+
+describe('background accessibility', () => {
+  it('hides main and its siblings while open and restores them on close', async () => {
+    const main = document.querySelector('main');
+    const header = document.querySelector('.site-header');
+    assert.equal(main.hasAttribute('aria-hidden'), false);
+    await openAt(0);
+    assert.equal(main.getAttribute('aria-hidden'), 'true');
+    assert.equal(header.getAttribute('aria-hidden'), 'true');
+    assert.equal(root.hasAttribute('aria-hidden'), false);
+    lightbox.close();
+    assert.equal(main.hasAttribute('aria-hidden'), false);
+    assert.equal(header.hasAttribute('aria-hidden'), false);
+  });
+
+  it('leaves the shared live region exposed on every open', async () => {
+    for (let i = 0; i < 2; i += 1) {
+      await openAt(0);
+      await tick();
+      // The shared announcer is appended to body, a sibling of the lightbox root
+      const regions = [...document.body.querySelectorAll(':scope > [aria-live]')];
+      assert.ok(regions.length > 0, 'an announcement created the live region');
+      regions.forEach((region) => assert.equal(region.hasAttribute('aria-hidden'), false));
+      lightbox.close();
+      await tick();
+    }
+  });
+});
+
+describe('backdrop behavior', () => {
+  it('closes on a backdrop click but not on a click inside the dialog', async () => {
+    await openAt(0);
+    click($('[data-js="lightbox-dialog"]'));
+    assert.equal(root.hidden, false);
+    click($('.lightbox__backdrop'));
+    assert.equal(root.hidden, true);
+  });
+
+  it('keeps the backdrop out of the tab order', async () => {
+    await openAt(0);
+    const backdrop = $('.lightbox__backdrop');
+    assert.equal(utils.getTabbables(root).includes(backdrop), false);
+    assert.equal(backdrop.getAttribute('aria-hidden'), 'true');
+  });
+});
+
+describe('edge cases', () => {
+  it('omits a missing caption from the announcement but keeps the index', async () => {
+    const figcaption = cards()[0].querySelector('.card__caption');
+    const text = figcaption.textContent;
+    figcaption.textContent = '';
+    await openAt(0);
+    await tick();
+    assert.equal(lastAnnouncement(), `Image 1 of ${cards().length}`);
+    figcaption.textContent = text;
+  });
+
+  it('announces keyboard zoom only when the scale changes', async () => {
+    await openAt(0);
+    await tick();
+    const rec = recordAnnouncements();
+    key('-'); // already at 1x
+    key('0');
+    await tick();
+    key('+');
+    await tick();
+    key('0');
+    await tick();
+    rec.stop();
+    assert.equal(rec.messages.length, 2, rec.messages.join(' | '));
+    assert.match(rec.messages[0], /^Zoom \d+%$/);
+    assert.equal(rec.messages[1], 'Zoom reset');
+  });
+
+  it('does not capture the pointer for presses on the Retry button', async () => {
+    const card = cards()[1];
+    const full = card.getAttribute('data-full');
+    card.setAttribute('data-full', './assets/images/full/missing.jpg');
+    await openAt(1);
+    const figure = lightbox.refs.figure;
+    const captured = [];
+    figure.setPointerCapture = (id) => captured.push(id);
+    const pointer = (type, target) => {
+      const event = new window.MouseEvent(type, { bubbles: true, cancelable: true, button: 0, clientX: 10, clientY: 10 });
+      Object.defineProperties(event, { pointerId: { value: 7 }, pointerType: { value: 'mouse' } });
+      target.dispatchEvent(event);
+    };
+    pointer('pointerdown', $('[data-lightbox-retry]'));
+    assert.deepEqual(captured, []);
+    pointer('pointerdown', lightbox.refs.img);
+    assert.deepEqual(captured, [7]);
+    pointer('pointercancel', lightbox.refs.img);
+    card.setAttribute('data-full', full);
+  });
+
+  it('survives rapid next clicks with a single final announcement', async () => {
+    await openAt(0);
+    await tick();
+    const rec = recordAnnouncements();
+    for (let i = 0; i < 7; i += 1) click($('[data-next]'));
+    await tick();
+    rec.stop();
+    const total = cards().length;
+    const expected = (7 % total) + 1;
+    assert.equal(counter(), `${expected} / ${total}`);
+    assert.deepEqual(rec.messages, [`Image ${expected} of ${total}, ${caption()}`]);
+  });
+
+  it('stays closed when lightbox:beforeopen is cancelled', async () => {
+    const hash = location.hash;
+    const off = lightbox.on('beforeopen', (e) => e.preventDefault());
+    await openAt(0);
+    off();
+    assert.equal(root.hidden, true);
+    assert.equal(location.hash, hash);
+  });
+
+  it('fires opened, change and close once per action', async () => {
+    const seen = [];
+    const offs = ['opened', 'change', 'close'].map((type) => lightbox.on(type, (e) => seen.push([type, e.detail.index, e.detail.previousIndex])));
+    await openAt(0);
+    lightbox.next();
+    lightbox.close();
+    offs.forEach((off) => off());
+    assert.deepEqual(seen, [['opened', 0, undefined], ['change', 1, 0], ['close', 1, undefined]]);
+  });
+
+  it('keeps the open request and the opened notification apart', async () => {
+    const requests = [];
+    const opened = [];
+    const onRequest = (e) => requests.push(e.target);
+    document.addEventListener('lightbox:open', onRequest);
+    const off = lightbox.on('opened', (e) => opened.push(e.target));
+    await openAt(0);
+    lightbox.close();
+    document.removeEventListener('lightbox:open', onRequest);
+    off();
+    assert.equal(requests.length, 1);
+    assert.ok(requests[0].closest('[data-gallery-item]'), 'the request comes from the card');
+    assert.deepEqual(opened, [root]);
+  });
+
+  it('syncs #view= with the open item and drops it on close', async () => {
+    await openAt(0);
+    assert.match(location.hash, /view=project-alpha/);
+    lightbox.next();
+    assert.match(location.hash, new RegExp(`view=${cards()[1].dataset.id}`));
+    lightbox.close();
+    await tick(50);
+    assert.doesNotMatch(location.hash, /view=/);
+  });
+  it('keeps history consistent when reopened before close() has stepped back', async () => {
+    const start = history.length;
+    lightbox.open(0);
+    lightbox.close();
+    lightbox.open(1);
+    await tick(50);
+    assert.equal(root.hidden, false);
+    assert.equal(document.querySelector('main').getAttribute('aria-hidden'), 'true');
+    assert.match(location.hash, new RegExp(`view=${cards()[1].dataset.id}`));
+    lightbox.close();
+    await tick(50);
+    assert.doesNotMatch(location.hash, /view=/);
+    assert.ok(history.length <= start + 1, 'no stray entries pushed');
+  });
+});
@@ -0,0 +1,130 @@
+// mail-sink.test.js - scripts/mail-sink.mjs over HTTP on an ephemeral port
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createMailSink } from '../scripts/mail-sink.mjs';
+
+let dir;
+let server;
+let base;
+
+const VALID = { name: 'Ada Lovelace', email: 'ada@example.com', message: 'A message that is long enough to send.' };
+const JSON_ACCEPT = { Accept: 'application/json' };
+const FORM_TYPE = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+const post = (body, headers = { ...JSON_ACCEPT, ...FORM_TYPE }) => fetch(`${base}/api/contact`, { method: 'POST', headers, body, redirect: 'manual' });
+const stored = () => {
+  const file = path.join(dir, 'messages.jsonl');
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8').trim().split('\n').map((line) => JSON.parse(line)) : [];
+};
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-sink-'));
+  server = createMailSink({ out: path.join(dir, 'messages.jsonl'), maxBytes: 1024 });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('POST /api/contact', () => {
+  it('stores a valid submission and answers with its id', async () => {
+    const res = await post(new URLSearchParams(VALID).toString());
+    assert.equal(res.status, 200);
+    const { ok, id } = await res.json();
+    assert.equal(ok, true);
+    assert.deepEqual(stored().map((record) => [record.id, record.fields.email]), [[id, VALID.email]]);
+  });
+
+  it('rejects a filled honeypot with 400 and stores nothing', async () => {
+    const before = stored().length;
+    const warn = console.warn;
+    console.warn = () => {}; // the server logs the rejection
+    try {
+      const res = await post(new URLSearchParams({ ...VALID, website: 'https://spam.example' }).toString());
+      assert.equal(res.status, 400);
+      assert.equal((await res.json()).error, 'rejected');
+    } finally {
+      console.warn = warn;
+    }
+    assert.equal(stored().length, before);
+  });
+
+  it('answers 413 for a body over maxBytes', async () => {
+    const res = await post(new URLSearchParams({ ...VALID, message: 'x'.repeat(2048) }).toString());
+    assert.equal(res.status, 413);
+    assert.equal((await res.json()).error, 'too_large');
+  });
+
+  it('answers 415 for other content types', async () => {
+    const res = await post('hello', { ...JSON_ACCEPT, 'Content-Type': 'text/plain' });
+    assert.equal(res.status, 415);
+    assert.equal((await res.json()).error, 'unsupported_type');
+  });
+
+  it('answers 422 with a message per invalid field', async () => {
+    const res = await post(JSON.stringify({ name: '', email: 'ada@example', message: 'Too short' }), { ...JSON_ACCEPT, 'Content-Type': 'application/json' });
+    assert.equal(res.status, 422);
+    assert.deepEqual(await res.json(), {
+      ok: false,
+      error: 'invalid',
+      message: 'Please fix the 3 highlighted fields.',
+      fields: {
+        name: 'Name is required.',
+        email: 'Enter an email address in the format name@example.com.',
+        message: 'Message must be at least 20 characters (currently 9).'
+      }
+    });
+  });
+
+  it('answers a plain form post with an HTML error page, or a redirect on success', async () => {
+    const invalid = await post(new URLSearchParams({ ...VALID, email: '' }).toString(), FORM_TYPE);
+    assert.equal(invalid.status, 422);
+    assert.match(await invalid.text(), /<li>Email is required\.<\/li>/);
+    const valid = await post(new URLSearchParams(VALID).toString(), FORM_TYPE);
+    assert.equal(valid.status, 303);
+    assert.equal(valid.headers.get('location'), '/#contact');
+  });
+});
+
+describe('static files', () => {
+  it('answers 400 for a malformed percent-encoded path', async () => {
+    const res = await fetch(`${base}/%E0%A4%A`, { headers: JSON_ACCEPT });
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).error, 'bad_request');
+  });
+});
+
+describe('mbox output', () => {
+  let mboxServer;
+  let mboxFile;
+
+  before(async () => {
+    mboxFile = path.join(dir, 'messages.mbox');
+    mboxServer = createMailSink({ out: mboxFile });
+    await new Promise((resolve) => mboxServer.listen(0, '127.0.0.1', resolve));
+  });
+  after(() => new Promise((resolve) => mboxServer.close(resolve)));
+
+  it('writes one message per submission with folded headers and quoted From lines', async () => {
+    const message = 'First line of the message.\nFrom here on it is quoted.\n>From here too.';
+    const res = await fetch(`http://127.0.0.1:${mboxServer.address().port}/api/contact`, {
+      method: 'POST',
+      headers: { ...JSON_ACCEPT, ...FORM_TYPE },
+      body: new URLSearchParams({ ...VALID, name: 'Ada\nBcc: victim@example.com', message }).toString()
+    });
+    const { id } = await res.json();
+    const [head, body] = fs.readFileSync(mboxFile, 'utf8').split('\n\n');
+    const lines = head.split('\n');
+    assert.match(lines[0], /^From mail-sink@localhost \w{3} \w{3} [ \d]\d \d\d:\d\d:\d\d \d{4}$/);
+    assert.ok(lines.includes('From: Ada Bcc: victim@example.com <ada@example.com>'));
+    assert.ok(lines.includes(`Message-ID: <${id}@mail-sink.localhost>`));
+    assert.equal(lines.some((line) => line.startsWith('Bcc:')), false);
+    assert.equal(body, 'First line of the message.\n>From here on it is quoted.\n>>From here too.');
+  });
+});
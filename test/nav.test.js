@@ -0,0 +1,111 @@
+// nav.test.js - nav.js disclosure (aria-expanded, Escape, outside and link clicks) and the scroll-spy
+
+import { describe, it, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, importScript, tick, key } from './helpers/dom.js';
+
+let nav;
+let toggle;
+let observer;
+
+const link = (id) => document.querySelector(`#primary-nav a[href="#${id}"]`);
+const current = () => [...document.querySelectorAll('#primary-nav a[aria-current]')].map((a) => [a.hash, a.getAttribute('aria-current')]);
+const click = (el) => el.dispatchEvent(new window.MouseEvent('click', { bubbles: true, cancelable: true }));
+
+/**
+ * FakeObserver - jsdom has no IntersectionObserver; the test reports sections entering and leaving the band
+ */
+class FakeObserver {
+  constructor(callback, options) {
+    this.callback = callback;
+    this.options = options;
+    this.targets = [];
+    observer = this;
+  }
+
+  observe(target) { this.targets.push(target); }
+
+  disconnect() { this.targets = []; }
+
+  report(changes) {
+    this.callback(Object.entries(changes).map(([id, isIntersecting]) => ({ target: document.getElementById(id), isIntersecting })));
+  }
+}
+
+before(async () => {
+  loadPage();
+  window.IntersectionObserver = FakeObserver;
+  globalThis.IntersectionObserver = FakeObserver;
+  const mod = await importScript('nav.js');
+  // Constructed directly (no DOMContentLoaded) so the test holds the only instance
+  nav = mod.initNav();
+  toggle = nav.toggle;
+});
+
+afterEach(() => nav.close());
+
+describe('disclosure', () => {
+  it('reveals the toggle and collapses the nav on narrow screens', () => {
+    assert.equal(toggle.hidden, false);
+    assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+    assert.equal(nav.nav.hidden, true);
+  });
+
+  it('toggles aria-expanded and the nav on click', () => {
+    click(toggle);
+    assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+    assert.equal(nav.nav.hidden, false);
+    click(toggle);
+    assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+    assert.equal(nav.nav.hidden, true);
+  });
+
+  it('closes on Escape and returns focus to the toggle', () => {
+    click(toggle);
+    link('about').focus();
+    key('Escape');
+    assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+    assert.equal(document.activeElement, toggle);
+  });
+
+  it('closes on a click outside the nav', () => {
+    click(toggle);
+    click(nav.nav.querySelector('ul'));
+    assert.equal(toggle.getAttribute('aria-expanded'), 'true', 'clicks inside keep it open');
+    click(document.querySelector('main'));
+    assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+    assert.equal(nav.nav.hidden, true);
+  });
+
+  it('closes when a link is followed', () => {
+    click(toggle);
+    click(link('contact'));
+    assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+  });
+});
+
+describe('scroll-spy', () => {
+  it('observes every section the nav links to', () => {
+    assert.deepEqual(observer.targets.map((section) => section.id), ['work', 'about', 'contact']);
+  });
+
+  it('marks the first section in view with aria-current="location"', () => {
+    observer.report({ about: true, contact: true });
+    assert.deepEqual(current(), [['#about', 'location']]);
+    observer.report({ about: false });
+    assert.deepEqual(current(), [['#contact', 'location']]);
+    observer.report({ contact: false });
+    assert.deepEqual(current(), [], 'cleared over the hero');
+  });
+
+  it('follows the hash and holds it while the jump scrolls past other sections', async () => {
+    location.hash = '#contact';
+    await tick();
+    assert.deepEqual(current(), [['#contact', 'location']]);
+    observer.report({ work: true });
+    assert.deepEqual(current(), [['#contact', 'location']]);
+    location.hash = '#view=project-alpha';
+    await tick();
+    assert.deepEqual(current(), [['#contact', 'location']], 'other hashes leave it alone');
+  });
+});
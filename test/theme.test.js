@@ -0,0 +1,124 @@
+// theme.test.js - theme.js choices, theme-color metas, OS scheme changes and announcements, plus the inline pre-paint script
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, importScript, ready, tick, setMedia, lastAnnouncement } from './helpers/dom.js';
+
+const DARK = 'prefers-color-scheme: dark';
+// jsdom does not substitute var() in custom properties, so the header surface per theme comes from literal tokens
+const TOKENS = `<style>
+  :root { --surface-1: #ffffff; }
+  :root[data-theme="dark"], :root:not([data-theme="light"]):not([data-theme="high-contrast"])[data-color-scheme="dark"] { --surface-1: #0f1524; }
+  :root[data-theme="high-contrast"] { --surface-1: #fefefe; }
+</style>`;
+
+let theme;
+let prePaint;
+const root = () => document.documentElement;
+const metas = () => [...document.querySelectorAll('meta[name="theme-color"]')].map((meta) => [meta.getAttribute('media'), meta.getAttribute('content')]);
+
+before(async () => {
+  loadPage({ media: { [DARK]: true }, html: (html) => html.replace('</head>', `${TOKENS}</head>`) });
+  // The classic script at the top of <head>; run the same way the browser would before first paint
+  prePaint = document.head.querySelector('script:not([type])').textContent;
+  await importScript('a11y.js');
+  theme = await importScript('theme.js');
+  await ready();
+});
+
+describe('setTheme', () => {
+  it('mirrors the OS scheme for System', () => {
+    assert.equal(theme.setTheme('system', { announce: false }), 'dark');
+    assert.equal(root().getAttribute('data-theme'), 'system');
+    assert.equal(root().getAttribute('data-color-scheme'), 'dark');
+  });
+
+  it('persists explicit choices and clears the stored one for System', () => {
+    theme.setTheme('light', { announce: false });
+    assert.equal(localStorage.getItem('theme'), 'light');
+    assert.equal(theme.getTheme(), 'light');
+    theme.setTheme('system', { announce: false });
+    assert.equal(localStorage.getItem('theme'), null);
+  });
+
+  it('rewrites both theme-color metas for dark and high-contrast', () => {
+    theme.setTheme('dark', { announce: false });
+    assert.deepEqual(metas(), [['(prefers-color-scheme: light)', '#0f1524'], ['(prefers-color-scheme: dark)', '#0f1524']]);
+    theme.setTheme('high-contrast', { announce: false });
+    assert.deepEqual(metas(), [['(prefers-color-scheme: light)', '#fefefe'], ['(prefers-color-scheme: dark)', '#fefefe']]);
+  });
+
+  it('announces the change unless announce is false', async () => {
+    theme.setTheme('dark');
+    await tick();
+    assert.equal(lastAnnouncement(), 'Theme: Dark');
+    theme.setTheme('system');
+    await tick();
+    assert.equal(lastAnnouncement(), 'Theme: System (dark)');
+    theme.setTheme('light', { announce: false });
+    await tick();
+    assert.equal(lastAnnouncement(), 'Theme: System (dark)');
+  });
+
+  it('rejects unknown themes', () => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      assert.equal(theme.setTheme('sepia'), null);
+    } finally {
+      console.warn = warn;
+    }
+  });
+});
+
+describe('OS scheme changes', () => {
+  it('switches System with the OS and dispatches theme:change', () => {
+    theme.setTheme('system', { announce: false });
+    let detail = null;
+    document.addEventListener('theme:change', (e) => { detail = e.detail; }, { once: true });
+    setMedia(DARK, false);
+    assert.equal(root().getAttribute('data-color-scheme'), 'light');
+    assert.deepEqual(detail, { theme: 'system', resolved: 'light' });
+    assert.equal(metas()[0][1], '#ffffff');
+    setMedia(DARK, true);
+    assert.equal(root().getAttribute('data-color-scheme'), 'dark');
+    assert.equal(metas()[0][1], '#0f1524');
+  });
+
+  it('keeps an explicit choice and only updates data-color-scheme', () => {
+    theme.setTheme('light', { announce: false });
+    let fired = false;
+    document.addEventListener('theme:change', () => { fired = true; }, { once: true });
+    setMedia(DARK, false);
+    setMedia(DARK, true);
+    assert.equal(root().getAttribute('data-theme'), 'light');
+    assert.equal(root().getAttribute('data-color-scheme'), 'dark');
+    assert.equal(fired, false);
+    theme.setTheme('system', { announce: false });
+  });
+});
+
+describe('inline pre-paint script', () => {
+  const run = ({ stored, dark }) => {
+    setMedia(DARK, dark);
+    if (stored) localStorage.setItem('theme', stored);
+    else localStorage.removeItem('theme');
+    root().removeAttribute('data-theme');
+    root().removeAttribute('data-color-scheme');
+    new Function(prePaint)();
+  };
+
+  it('applies the stored choice and the OS scheme before theme.js loads', () => {
+    run({ stored: 'high-contrast', dark: true });
+    assert.equal(root().getAttribute('data-theme'), 'high-contrast');
+    assert.equal(root().getAttribute('data-color-scheme'), 'dark');
+  });
+
+  it('ignores unknown stored values and leaves a light OS without the attribute', () => {
+    run({ stored: 'sepia', dark: false });
+    assert.equal(root().hasAttribute('data-theme'), false);
+    assert.equal(root().hasAttribute('data-color-scheme'), false);
+    localStorage.removeItem('theme');
+    setMedia(DARK, true);
+  });
+});